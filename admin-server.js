@@ -21,6 +21,8 @@ const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
 const { WebSocketServer } = require('ws');
 const chokidar = require('chokidar');
+const costLedger = require('./cost-ledger');
+const auditLog = require('./audit-log');
 
 const app = express();
 const PORT = 3000;
@@ -30,6 +32,8 @@ const BRIDGE_DIR = __dirname;
 const HEALTH_FILE = path.join(BRIDGE_DIR, 'health.json');
 const MESSAGES_FILE = path.join(BRIDGE_DIR, 'messages.json');
 const LOG_FILE = path.join(BRIDGE_DIR, 'bridge.log');
+const COSTS_FILE = path.join(BRIDGE_DIR, '.costs.jsonl');
+const AUDIT_FILE = path.join(BRIDGE_DIR, '.audit.jsonl');
 const ADMIN_TOKEN_FILE = path.join(BRIDGE_DIR, '.admin-token');
 const ADMIN_LOG_FILE = path.join(BRIDGE_DIR, 'admin.log');
 
@@ -423,6 +427,87 @@ app.get('/api/export/logs', (req, res) => {
     }
 });
 
+// Ledger entries for ?period= (today, week, month, all) or ?from=&to=, and ?chat=
+function getCostEntries(query) {
+    const period = costLedger.PERIODS.includes(query.period) ? query.period : 'month';
+    return costLedger.readEntries(COSTS_FILE, {
+        from: query.from ? new Date(query.from) : costLedger.periodStart(period),
+        to: query.to ? new Date(query.to) : null,
+        chatId: query.chat || null
+    });
+}
+
+// Cost aggregates, the same as /cost in Telegram: ?by=day|mode|chat|user|model&format=json|csv
+app.get('/api/costs', (req, res) => {
+    const by = req.query.by || 'day';
+    if (!costLedger.GROUPS.includes(by)) {
+        return res.status(400).json({ error: `by must be one of ${costLedger.GROUPS.join(', ')}` });
+    }
+
+    const { total, groups } = costLedger.aggregate(getCostEntries(req.query), by);
+
+    if (req.query.format === 'csv') {
+        const columns = ['key', 'runs', 'cost', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition',
+            `attachment; filename="nexus-costs-by-${by}-${Date.now()}.csv"`);
+        res.send(costLedger.toCsv([...groups, total], columns));
+    } else {
+        res.json({ by, period: req.query.period || 'month', from: req.query.from, to: req.query.to, total, groups });
+    }
+});
+
+// Raw ledger, one row per agent run, for reconciling against the invoice
+app.get('/api/export/costs', (req, res) => {
+    const entries = getCostEntries(req.query);
+
+    if (req.query.format === 'csv') {
+        const columns = ['timestamp', 'runId', 'jobId', 'agent', 'chatId', 'username', 'mode', 'model', 'cost',
+            'estimated', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+        const rows = entries.map(e => ({ ...e, model: Object.keys(e.models || {}).join(' ') }));
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition',
+            `attachment; filename="nexus-costs-${Date.now()}.csv"`);
+        res.send(costLedger.toCsv(rows, columns));
+    } else {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition',
+            `attachment; filename="nexus-costs-${Date.now()}.json"`);
+        res.json(entries);
+    }
+});
+
+// Tool calls from the audit log, newest first. Filters: ?period= or ?from=&to=,
+// chat, user (id or username), mode, tool, run, job, q (text in the command, path or URL),
+// limit (default 200, 0 for all) and format=csv
+app.get('/api/audit', (req, res) => {
+    const period = costLedger.PERIODS.includes(req.query.period) ? req.query.period : 'all';
+    const limit = req.query.limit === '0' ? null : Math.min(5000, Math.max(1, parseInt(req.query.limit) || 200));
+    const calls = auditLog.readCalls(AUDIT_FILE, {
+        from: req.query.from ? new Date(req.query.from) : costLedger.periodStart(period),
+        to: req.query.to ? new Date(req.query.to) : null,
+        chatId: req.query.chat,
+        user: req.query.user,
+        mode: req.query.mode,
+        tool: req.query.tool,
+        runId: req.query.run,
+        jobId: req.query.job,
+        q: req.query.q,
+        limit
+    });
+
+    if (req.query.format === 'csv') {
+        const columns = ['timestamp', 'finishedAt', 'runId', 'jobId', 'agent', 'chatId', 'userId', 'username', 'mode',
+            'tool', 'target', 'outcome', 'exitCode', 'error', 'durationMs', 'workingDir'];
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition',
+            `attachment; filename="nexus-audit-${Date.now()}.csv"`);
+        res.send(costLedger.toCsv(calls, columns));
+    } else {
+        res.json({ data: calls, total: calls.length });
+    }
+});
+
 // Restart bridge (SECURE - uses process.kill and spawn, not exec)
 app.post('/api/restart', strictLimiter, (req, res) => {
     const health = readJsonFile(HEALTH_FILE, {});
@@ -0,0 +1,71 @@
+/**
+ * Audit log of Claude's tool calls, shared by the bridge and the admin panel
+ *
+ * The bridge appends two JSON lines per tool call to .audit.jsonl: a "call"
+ * line when Claude asks for the tool (before it is approved, denied or run) and
+ * a "result" line when the call ends. Lines are only ever appended, so a call
+ * that was running when the bridge stopped still shows up, without a result.
+ * This module joins the two lines by tool use id and filters the calls.
+ */
+
+const fs = require('fs');
+
+function appendEntry(file, entry) {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+// Calls, newest first, each with its result merged in (outcome, exitCode,
+// error, durationMs; outcome is null while there is no result line).
+// filters: from, to (Dates), chatId, runId, jobId, user (a user id or
+// username), mode, tool, q (matched against the target and input) and limit.
+function readCalls(file, filters = {}) {
+    if (!fs.existsSync(file)) return [];
+
+    const calls = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            continue;
+        }
+        const { event, ...fields } = entry;
+        if (event === 'call') {
+            calls.set(entry.toolUseId, { ...fields, outcome: null, ...calls.get(entry.toolUseId) });
+        } else if (event === 'result') {
+            const call = calls.get(entry.toolUseId) || {};
+            const { timestamp, ...result } = fields;
+            calls.set(entry.toolUseId, { ...call, ...result, finishedAt: timestamp });
+        }
+    }
+
+    const { from = null, to = null, limit = null } = filters;
+    const equals = (value, wanted) => wanted === undefined || wanted === null || wanted === '' ||
+        String(value).toLowerCase() === String(wanted).toLowerCase();
+    const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+    // Reversed first so calls logged in the same millisecond also come newest first
+    const matching = [...calls.values()]
+        .reverse()
+        .filter(call => call.timestamp)
+        .filter(call => {
+            const time = new Date(call.timestamp);
+            if (from && time < from) return false;
+            if (to && time >= to) return false;
+            return equals(call.chatId, filters.chatId) &&
+                equals(call.runId, filters.runId) &&
+                equals(call.jobId, filters.jobId) &&
+                (equals(call.userId, filters.user) || equals(call.username, filters.user)) &&
+                equals(call.mode, filters.mode) &&
+                equals(call.tool, filters.tool) &&
+                (!q || `${call.target || ''}\n${call.input || ''}`.toLowerCase().includes(q));
+        })
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return limit ? matching.slice(0, limit) : matching;
+}
+
+module.exports = {
+    appendEntry,
+    readCalls
+};
@@ -3,11 +3,22 @@
  * Telegram-Claude Bridge v6
  *
  * Features:
- * - Clean Telegram formatting (HTML mode)
+ * - Markdown rendered to Telegram HTML (code, quotes, tables, spoilers), split safely
+ * - Live progress status edited in place while Claude works
+ * - Tool approvals through inline keyboards (Allow once / Always / Deny)
+ * - Long-polling or webhook delivery (WEBHOOK_URL)
+ * - Photos, screenshots and documents as input (caption = prompt)
+ * - Files Claude creates or edits sent back as documents (/get [path])
  * - Parallel agents (up to 10 concurrent)
- * - Token usage & cost tracking (Opus 4.5)
+ * - Token usage & cost tracking (SDK-reported, per model)
+ * - Persistent per-chat Claude sessions (/new, /sessions, /resume); replying
+ *   to an answer branches the conversation from that answer
+ * - Persistent job queue, fair across chats (/queue, /cancel)
+ * - Scheduled and recurring prompts (/schedule, /schedules, /unschedule)
+ * - Users with roles, managed from Telegram (/users, /grant, /revoke)
+ * - Groups (answers mentions, replies and commands) with a session per forum topic
  *
- * Domain Modes:
+ * Domain Modes (defined in modes/*.json, see MODES below):
  * - /finance - Quant analysis, markets, economics
  * - /dev - Full-stack development
  * - /legal - Legal tech, SEC compliance
@@ -19,12 +30,22 @@ require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const { query } = require('@anthropic-ai/claude-agent-sdk');
+const { Marked } = require('marked');
+const costLedger = require('./cost-ledger');
+const auditLog = require('./audit-log');
 
 // Configuration
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+// Seed the user registry when it has no owner yet (see USERS & ROLES)
 const ALLOWED_CHAT_IDS = (process.env.TELEGRAM_ALLOWED_CHAT_IDS || '').split(',').filter(Boolean);
-let WORKING_DIR = process.env.WORKING_DIR || path.resolve('.');
+// Which of those start as owners (default: all of them)
+const ADMIN_CHAT_IDS = (process.env.ADMIN_CHAT_IDS || '').split(',').filter(Boolean);
+// Default working directory. Each chat can /cd to its own (see CHAT STATE).
+const WORKING_DIR = process.env.WORKING_DIR || path.resolve('.');
 const TIMEOUT_MINUTES = 10;
 const MAX_PARALLEL_AGENTS = 10;
 
@@ -41,11 +62,11 @@ if (ALLOWED_DIRECTORIES.length === 0) {
     ALLOWED_DIRECTORIES.push(WORKING_DIR);
 }
 
-// Check if a path is within allowed directories
-function isPathAllowed(targetPath) {
+// Check if a path is within allowed directories (or the given ones)
+function isPathAllowed(targetPath, directories = ALLOWED_DIRECTORIES) {
     try {
         const normalizedTarget = path.resolve(targetPath).toLowerCase();
-        return ALLOWED_DIRECTORIES.some(allowed => {
+        return directories.some(allowed => {
             const normalizedAllowed = path.resolve(allowed).toLowerCase();
             return normalizedTarget === normalizedAllowed ||
                    normalizedTarget.startsWith(normalizedAllowed + path.sep.toLowerCase());
@@ -55,6 +76,15 @@ function isPathAllowed(targetPath) {
     }
 }
 
+// Webhook mode: set WEBHOOK_URL to the public HTTPS URL Telegram should post to
+// (e.g. behind a reverse proxy). Without it the bridge long-polls getUpdates.
+const WEBHOOK_URL = process.env.WEBHOOK_URL || '';
+const WEBHOOK_HOST = process.env.WEBHOOK_HOST || '127.0.0.1';
+const WEBHOOK_PORT = parseInt(process.env.WEBHOOK_PORT) || 8443;
+// Telegram echoes this in X-Telegram-Bot-Api-Secret-Token. Generated per start if unset.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
 // Retry configuration
 const RETRY_CONFIG = {
     maxRetries: 3,
@@ -63,7 +93,8 @@ const RETRY_CONFIG = {
     retryableErrors: ['429', '529', 'ECONNRESET', 'overloaded', 'rate_limit']
 };
 
-// Exponential backoff retry wrapper
+// Exponential backoff retry wrapper. options.onRetry(error) runs after a failed
+// attempt that will be retried, e.g. to record what the attempt used.
 async function withRetry(fn, options = {}) {
     const { maxRetries = RETRY_CONFIG.maxRetries, baseDelay = RETRY_CONFIG.baseDelay, maxDelay = RETRY_CONFIG.maxDelay } = options;
 
@@ -74,10 +105,13 @@ async function withRetry(fn, options = {}) {
             const errorStr = String(error.message || error).toLowerCase();
             const isRetryable = RETRY_CONFIG.retryableErrors.some(e => errorStr.includes(e.toLowerCase()));
 
-            if (!isRetryable || attempt === maxRetries) {
+            // Never retry a run that was cancelled via /stop or timed out
+            if (!isRetryable || attempt === maxRetries || options.signal?.aborted) {
                 throw error;
             }
 
+            if (options.onRetry) options.onRetry(error);
+
             // Exponential backoff with jitter
             const delay = Math.min(baseDelay * Math.pow(2, attempt) + Math.random() * 1000, maxDelay);
             log('WARN', `Retry ${attempt + 1}/${maxRetries} after ${Math.round(delay)}ms: ${error.message}`);
@@ -125,6 +159,12 @@ function rotateLogsIfNeeded() {
 const STATE_FILE = path.join(__dirname, '.bridge-state.json');
 const MESSAGES_FILE = path.join(__dirname, 'messages.json');
 const HEALTH_FILE = path.join(__dirname, 'health.json');
+const SESSIONS_FILE = path.join(__dirname, '.sessions.json');
+const CHAT_STATE_FILE = path.join(__dirname, '.chat-state.json');
+const JOBS_FILE = path.join(__dirname, '.jobs.json');
+const SCHEDULES_FILE = path.join(__dirname, '.schedules.json');
+const COSTS_FILE = path.join(__dirname, '.costs.jsonl');
+const BUDGET_STATE_FILE = path.join(__dirname, '.budget-state.json');
 
 // ============================================
 // TELEGRAM FORMATTING - Convert MD to HTML
@@ -137,6 +177,144 @@ function escapeHtml(text) {
         .replace(/>/g, '&gt;');
 }
 
+// Markdown is parsed with marked and rendered to the HTML subset Telegram
+// accepts (b, i, s, u, code, pre, a, blockquote, tg-spoiler). Everything else
+// is flattened to text, so the output is always valid Telegram HTML.
+const markdown = new Marked({ gfm: true });
+
+// ||spoiler|| as in Telegram's own MarkdownV2
+markdown.use({
+    extensions: [{
+        name: 'spoiler',
+        level: 'inline',
+        start: src => src.indexOf('||'),
+        tokenizer(src) {
+            const match = /^\|\|(?=\S)([\s\S]*?\S)\|\|/.exec(src);
+            if (match) {
+                return { type: 'spoiler', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+            }
+        }
+    }]
+});
+
+const SAFE_LINK_PROTOCOLS = /^(https?:|tg:|mailto:)/i;
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Text of inline tokens without any formatting (for table cells)
+function plainText(tokens = []) {
+    return tokens.map(token => {
+        if (token.tokens) return plainText(token.tokens);
+        if (token.type === 'br') return ' ';
+        return token.text || '';
+    }).join('');
+}
+
+function renderInline(tokens = []) {
+    return tokens.map(token => {
+        switch (token.type) {
+            case 'strong':
+                return `<b>${renderInline(token.tokens)}</b>`;
+            case 'em':
+                return `<i>${renderInline(token.tokens)}</i>`;
+            case 'del':
+                return `<s>${renderInline(token.tokens)}</s>`;
+            case 'spoiler':
+                return `<tg-spoiler>${renderInline(token.tokens)}</tg-spoiler>`;
+            case 'codespan':
+                return `<code>${escapeHtml(token.text)}</code>`;
+            case 'br':
+                return '\n';
+            case 'link':
+            case 'image': {
+                const label = token.type === 'image'
+                    ? escapeHtml(token.text || token.href)
+                    : renderInline(token.tokens);
+                return SAFE_LINK_PROTOCOLS.test(token.href)
+                    ? `<a href="${escapeAttribute(token.href)}">${label}</a>`
+                    : label;
+            }
+            case 'text':
+                return token.tokens ? renderInline(token.tokens) : escapeHtml(token.text);
+            default:
+                // escape, html and anything unknown: show the source text
+                return escapeHtml(token.text ?? token.raw ?? '');
+        }
+    }).join('');
+}
+
+// Tables become monospace blocks with padded, aligned columns
+function renderTable(token) {
+    const rows = [token.header, ...token.rows].map(row => row.map(cell => plainText(cell.tokens).trim()));
+    const widths = token.header.map((_, col) => Math.max(...rows.map(row => (row[col] || '').length)));
+    const pad = (text, col) => {
+        const gap = widths[col] - text.length;
+        if (token.align[col] === 'right') return ' '.repeat(gap) + text;
+        if (token.align[col] === 'center') return ' '.repeat(Math.floor(gap / 2)) + text + ' '.repeat(Math.ceil(gap / 2));
+        return text + ' '.repeat(gap);
+    };
+    const line = row => widths.map((_, col) => pad(row[col] || '', col)).join(' | ').trimEnd();
+    const separator = widths.map(w => '-'.repeat(w)).join('-+-');
+    return `<pre>${escapeHtml([line(rows[0]), separator, ...rows.slice(1).map(line)].join('\n'))}</pre>`;
+}
+
+function renderList(token, depth) {
+    const indent = '  '.repeat(depth);
+    return token.items.map((item, i) => {
+        const marker = token.ordered ? `${(Number(token.start) || 1) + i}.` : '•';
+        const checkbox = item.task ? (item.checked ? '☑ ' : '☐ ') : '';
+        const body = item.tokens
+            .filter(child => child.type !== 'checkbox')
+            .map(child => child.type === 'list'
+                ? renderList(child, depth + 1)
+                : renderBlock(child, depth + 1))
+            .filter(Boolean)
+            .join('\n');
+        return `${indent}${marker} ${checkbox}${body}`;
+    }).join('\n');
+}
+
+// inQuote: Telegram can't nest blockquotes, so inner ones are flattened
+function renderBlock(token, depth = 0, inQuote = false) {
+    switch (token.type) {
+        case 'heading':
+            return `<b>${renderInline(token.tokens)}</b>`;
+        case 'paragraph':
+            return renderInline(token.tokens);
+        case 'text':
+            return token.tokens ? renderInline(token.tokens) : escapeHtml(token.text);
+        case 'code': {
+            const lang = (token.lang || '').match(/^[\w#+-]+/)?.[0];
+            const code = escapeHtml(token.text);
+            return lang ? `<pre><code class="language-${lang}">${code}</code></pre>` : `<pre>${code}</pre>`;
+        }
+        case 'blockquote': {
+            const body = renderBlocks(token.tokens, depth, true);
+            return inQuote ? body : `<blockquote>${body}</blockquote>`;
+        }
+        case 'list':
+            return renderList(token, depth);
+        case 'table':
+            return renderTable(token);
+        case 'hr':
+            return '──────────';
+        case 'space':
+        case 'def':
+            return '';
+        default:
+            return escapeHtml(token.text ?? token.raw ?? '');
+    }
+}
+
+function renderBlocks(tokens, depth = 0, inQuote = false) {
+    return tokens
+        .map(token => renderBlock(token, depth, inQuote))
+        .filter(Boolean)
+        .join('\n\n');
+}
+
 function formatForTelegram(text) {
     if (!text) return '(Empty response)';
 
@@ -151,59 +329,12 @@ function formatForTelegram(text) {
         return char;
     });
 
-    // Convert markdown tables to plain text
-    text = text.replace(/\|([^\n]+)\|\n\|[-:\s|]+\|\n((?:\|[^\n]+\|\n?)*)/g, (match, header, rows) => {
-        const headerCells = header.split('|').map(c => c.trim()).filter(Boolean);
-        const rowLines = rows.trim().split('\n').map(row =>
-            row.split('|').map(c => c.trim()).filter(Boolean)
-        );
-
-        let result = headerCells.join(' | ') + '\n';
-        result += '-'.repeat(40) + '\n';
-        rowLines.forEach(cells => {
-            result += cells.join(' | ') + '\n';
-        });
-        return result;
-    });
-
-    // Remove standalone table separator lines
-    text = text.replace(/^\|[-:\s|]+\|$/gm, '');
-
-    // Escape HTML entities first (before adding our own tags)
-    let escaped = escapeHtml(text);
-
-    // Convert code blocks (``` ... ```)
-    escaped = escaped.replace(/```(\w*)\n?([\s\S]*?)```/g, (match, lang, code) => {
-        return `<pre>${code.trim()}</pre>`;
-    });
-
-    // Convert inline code (` ... `)
-    escaped = escaped.replace(/`([^`\n]+)`/g, '<code>$1</code>');
-
-    // Convert bold (**text** or __text__)
-    escaped = escaped.replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>');
-    escaped = escaped.replace(/__([^_]+)__/g, '<b>$1</b>');
-
-    // Convert italic (*text* or _text_) - be careful not to match inside words
-    escaped = escaped.replace(/(?<![a-zA-Z])\*([^*\n]+)\*(?![a-zA-Z])/g, '<i>$1</i>');
-    escaped = escaped.replace(/(?<![a-zA-Z])_([^_\n]+)_(?![a-zA-Z])/g, '<i>$1</i>');
-
-    // Convert strikethrough (~~text~~)
-    escaped = escaped.replace(/~~([^~]+)~~/g, '<s>$1</s>');
-
-    // Convert headers (# ## ###) to bold
-    escaped = escaped.replace(/^#{1,6}\s+(.+)$/gm, '<b>$1</b>');
-
-    // Convert bullet points to cleaner format
-    escaped = escaped.replace(/^[\s]*[-*]\s+/gm, '• ');
-
-    // Convert numbered lists
-    escaped = escaped.replace(/^(\d+)\.\s+/gm, '$1. ');
-
-    // Clean up excessive newlines
-    escaped = escaped.replace(/\n{3,}/g, '\n\n');
-
-    return escaped.trim();
+    try {
+        return renderBlocks(markdown.lexer(text)).replace(/\n{3,}/g, '\n\n').trim();
+    } catch (error) {
+        log('WARN', 'Markdown rendering failed, sending plain text:', error.message);
+        return escapeHtml(text).trim();
+    }
 }
 
 // ============================================
@@ -214,15 +345,15 @@ function loadState() {
     try {
         if (fs.existsSync(STATE_FILE)) {
             const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-            return state.lastUpdateId || 0;
+            return { lastUpdateId: state.lastUpdateId || 0, recentUpdateIds: state.recentUpdateIds || [] };
         }
     } catch (e) {}
-    return 0;
+    return { lastUpdateId: 0, recentUpdateIds: [] };
 }
 
-function saveState(updateId) {
+function saveState() {
     try {
-        fs.writeFileSync(STATE_FILE, JSON.stringify({ lastUpdateId: updateId }));
+        fs.writeFileSync(STATE_FILE, JSON.stringify({ lastUpdateId, recentUpdateIds: [...recentUpdateIds] }));
     } catch (e) {}
 }
 
@@ -246,40 +377,320 @@ function saveMessage(msg) {
     }
 }
 
-// Build conversation context from recent messages
-function buildConversationContext(limit = 10, maxCharsPerMsg = 500) {
+// ============================================
+// CHAT STATE
+// ============================================
+
+// Per-chat settings that survive restarts, so one teammate's /cd or /mode
+// never affects another chat. Shape: { [chatId]: { workingDir, mode } }
+// A forum topic falls back to its group's settings (see GROUPS & TOPICS).
+function loadChatStates() {
+    try {
+        if (fs.existsSync(CHAT_STATE_FILE)) {
+            return JSON.parse(fs.readFileSync(CHAT_STATE_FILE, 'utf8'));
+        }
+    } catch (e) {}
+    return {};
+}
+
+function saveChatStates(states) {
     try {
-        const messages = loadMessages();
-        if (messages.length === 0) return '';
+        fs.writeFileSync(CHAT_STATE_FILE, JSON.stringify(states, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save chat state:', e.message);
+    }
+}
+
+function getChatState(chatId) {
+    const states = loadChatStates();
+    const group = topicOf(chatId) ? states[telegramChatId(chatId)] : null;
+    const state = { workingDir: WORKING_DIR, mode: 'default', ...group, ...states[chatId] };
+    // A directory removed since the last /cd falls back to the default
+    if (state.workingDir !== WORKING_DIR && !fs.existsSync(state.workingDir)) {
+        state.workingDir = WORKING_DIR;
+    }
+    return state;
+}
+
+function updateChatState(chatId, updates) {
+    const states = loadChatStates();
+    states[chatId] = { ...states[chatId], ...updates };
+    saveChatStates(states);
+}
+
+// ============================================
+// GROUPS & TOPICS
+// ============================================
+
+// In groups the bridge only answers messages meant for it: commands, messages
+// that @mention the bot, and replies to the bot's own messages. Users are
+// authorized one by one (message.from.id), whatever chat they write in.
+//
+// Inside a forum topic the chat id used throughout the bridge is
+// "<chat id>:<topic id>", so every topic keeps its own session, directory,
+// mode and place in the job queue, and answers go back to the topic.
+// Topics start from the group's settings (e.g. a /cd in the General topic).
+
+// { id, username } from getMe, for spotting mentions and replies
+let botUser = null;
+
+async function loadBotUser() {
+    try {
+        const response = await axios.get(`${API_BASE}/getMe`);
+        botUser = { id: response.data.result.id, username: response.data.result.username };
+        log('INFO', `Bot: @${botUser.username}`);
+    } catch (error) {
+        log('WARN', 'getMe failed; mentions and replies in groups are not recognised:', error.message);
+    }
+}
+
+function isGroupChat(chat) {
+    return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+// The bridge's chat id for a message (see above)
+function messageChatId(message) {
+    return message.is_topic_message && message.message_thread_id
+        ? `${message.chat.id}:${message.message_thread_id}`
+        : message.chat.id;
+}
+
+// The Telegram chat a bridge chat id belongs to
+function telegramChatId(chatId) {
+    const [chat, topic] = String(chatId).split(':');
+    return topic ? Number(chat) : chatId;
+}
+
+function topicOf(chatId) {
+    const topic = String(chatId).split(':')[1];
+    return topic ? Number(topic) : null;
+}
 
-        const recent = messages.slice(-limit);
-        const context = recent.map(m => {
-            const prompt = (m.prompt || '').substring(0, maxCharsPerMsg);
-            const response = (m.response || '').substring(0, maxCharsPerMsg);
-            return `User: ${prompt}\nAssistant: ${response}`;
-        }).join('\n\n');
+// chat_id (and message_thread_id) for a Bot API call
+function chatTarget(chatId) {
+    const topic = topicOf(chatId);
+    return topic ? { chat_id: telegramChatId(chatId), message_thread_id: topic } : { chat_id: chatId };
+}
+
+// The message's text without the bot's @mention or the @BotName of a command,
+// or null when the message is not for the bot (in groups, anything that is
+// not a command, a mention or a reply to the bot; anywhere, another bot's command).
+function addressedText(message, text) {
+    const command = text.match(/^(\/\w+)@(\w+)/);
+    if (command) {
+        if (botUser && command[2].toLowerCase() !== botUser.username.toLowerCase()) return null;
+        return command[1] + text.substring(command[0].length);
+    }
+    if (!isGroupChat(message.chat) || text.startsWith('/')) return text;
+    if (!botUser) return null;
+
+    const raw = message.text || message.caption || '';
+    const mention = `@${botUser.username}`.toLowerCase();
+    const mentioned = (message.entities || message.caption_entities || []).some(entity =>
+        (entity.type === 'mention' && raw.substr(entity.offset, entity.length).toLowerCase() === mention) ||
+        (entity.type === 'text_mention' && entity.user?.id === botUser.id));
+    // In a topic, messages that reply to nothing point at the topic's first message
+    const reply = message.reply_to_message;
+    const repliedToBot = reply?.from?.id === botUser.id && !reply.forum_topic_created;
+    if (!mentioned && !repliedToBot) return null;
+
+    return text.replace(new RegExp(`@${botUser.username}\\b *`, 'gi'), '').trim();
+}
+
+// ============================================
+// CHAT SESSIONS
+// ============================================
+
+// Each chat has a list of agent-SDK sessions and one active session that is
+// resumed on every query. Shape: { [chatId]: { active, sessions: [...] } }
+function loadSessions() {
+    try {
+        if (fs.existsSync(SESSIONS_FILE)) {
+            return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+        }
+    } catch (e) {}
+    return {};
+}
 
-        return `\n\n--- Recent Conversation Context ---\n${context}\n--- End Context ---\n`;
+function saveSessions(sessions) {
+    try {
+        fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
     } catch (e) {
-        return '';
+        log('ERROR', 'Failed to save sessions:', e.message);
     }
 }
 
-// Token tracking (Opus 4.5 pricing: $15/MTok input, $75/MTok output)
-const TOKEN_COSTS = {
-    inputPer1M: 15.00,
-    outputPer1M: 75.00
-};
+function getChatSessions(sessions, chatId) {
+    if (!sessions[chatId]) {
+        sessions[chatId] = { active: null, sessions: [] };
+    }
+    return sessions[chatId];
+}
+
+function getActiveSessionId(chatId) {
+    return loadSessions()[chatId]?.active || null;
+}
+
+// Record a completed turn. The SDK may hand back a new session id when
+// resuming, so the entry for the previous id is carried over to the new one.
+// Sessions are stored per directory by the SDK, so workingDir is kept too.
+function recordSessionTurn(chatId, previousId, sessionId, prompt, mode, workingDir) {
+    const sessions = loadSessions();
+    const chat = getChatSessions(sessions, chatId);
+    const now = new Date().toISOString();
+
+    let entry = chat.sessions.find(s => s.id === (previousId || sessionId));
+    if (!entry) {
+        entry = { id: sessionId, title: prompt.substring(0, 60), mode, workingDir, createdAt: now, turns: 0 };
+        chat.sessions.push(entry);
+    }
+    migrateSessionApprovals(entry.id, sessionId);
+    entry.id = sessionId;
+    entry.updatedAt = now;
+    entry.turns++;
+
+    chat.active = sessionId;
+    chat.sessions = chat.sessions.slice(-50);
+    saveSessions(sessions);
+}
+
+function setActiveSession(chatId, sessionId) {
+    const sessions = loadSessions();
+    getChatSessions(sessions, chatId).active = sessionId;
+    saveSessions(sessions);
+}
+
+// The bot messages an answer was sent in, so that replying to one resumes its
+// session at that answer (see runClaude). Stored with the chat's sessions as
+// answers: { [messageId]: { runId, sessionId, messageUuid, workingDir, mode } }
+const MAX_ANSWER_MESSAGES = 500;
+
+function recordAnswerMessages(chatId, messageIds, answer) {
+    const ids = messageIds.filter(Boolean);
+    if (ids.length === 0) return;
+    const sessions = loadSessions();
+    const chat = getChatSessions(sessions, chatId);
+    chat.answers = chat.answers || {};
+    ids.forEach(id => { chat.answers[id] = answer; });
+    // Message ids only grow, so the lowest are the oldest
+    const stored = Object.keys(chat.answers).map(Number).sort((a, b) => a - b);
+    stored.slice(0, -MAX_ANSWER_MESSAGES).forEach(id => delete chat.answers[id]);
+    saveSessions(sessions);
+}
+
+function findAnswerMessage(chatId, messageId) {
+    return loadSessions()[chatId]?.answers?.[messageId] || null;
+}
+
+// Find one of the chat's sessions by full id or unique prefix
+function findChatSession(chatId, idPrefix) {
+    const chat = loadSessions()[chatId];
+    if (!chat) return null;
+    const matches = chat.sessions.filter(s => s.id.startsWith(idPrefix));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+function formatSessionDate(iso) {
+    return iso ? iso.substring(0, 16).replace('T', ' ') : '?';
+}
+
+// ============================================
+// TOKEN USAGE & COST
+// ============================================
+
+// Per-model pricing ($/MTok), used to cross-check the cost the SDK reports and
+// to price aborted runs that never receive a result message. First match wins.
+const MODEL_PRICING = [
+    { match: 'opus-4-5', input: 5.00, output: 25.00, cacheWrite: 6.25, cacheRead: 0.50 },
+    { match: 'opus-4', input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+    { match: 'sonnet-4', input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+    { match: 'haiku-4-5', input: 1.00, output: 5.00, cacheWrite: 1.25, cacheRead: 0.10 },
+    { match: 'haiku-3-5', input: 0.80, output: 4.00, cacheWrite: 1.00, cacheRead: 0.08 }
+];
+
+function getModelPricing(model) {
+    return MODEL_PRICING.find(p => (model || '').includes(p.match)) || null;
+}
+
+// usage uses the SDK's ModelUsage field names
+function calculateCost(model, usage) {
+    const pricing = getModelPricing(model);
+    if (!pricing) return null;
+    return ((usage.inputTokens || 0) * pricing.input +
+        (usage.outputTokens || 0) * pricing.output +
+        (usage.cacheCreationInputTokens || 0) * pricing.cacheWrite +
+        (usage.cacheReadInputTokens || 0) * pricing.cacheRead) / 1000000;
+}
+
+// Build per-model usage from the agent's assistant messages. Only needed when a
+// run was aborted before the SDK sent its result message.
+function usageFromApiMessages(agent) {
+    const modelUsage = {};
+    for (const { model, usage } of agent.apiUsage.values()) {
+        const m = modelUsage[model] || (modelUsage[model] = {
+            inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0
+        });
+        m.inputTokens += usage.input_tokens || 0;
+        m.outputTokens += usage.output_tokens || 0;
+        m.cacheReadInputTokens += usage.cache_read_input_tokens || 0;
+        m.cacheCreationInputTokens += usage.cache_creation_input_tokens || 0;
+    }
+    for (const [model, m] of Object.entries(modelUsage)) {
+        m.costUSD = calculateCost(model, m) || 0;
+    }
+    return modelUsage;
+}
+
+// Add an agent's usage to the running totals and return a summary for logging
+function recordUsage(agent) {
+    const reported = !!agent.result;
+    const modelUsage = reported ? agent.result.modelUsage || {} : usageFromApiMessages(agent);
+    const summary = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0, reported };
+
+    for (const [model, usage] of Object.entries(modelUsage)) {
+        const entry = stats.byModel[model] || (stats.byModel[model] = {
+            inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0, priceTableCost: 0
+        });
+        const priceTableCost = calculateCost(model, usage);
+
+        entry.inputTokens += usage.inputTokens || 0;
+        entry.outputTokens += usage.outputTokens || 0;
+        entry.cacheReadTokens += usage.cacheReadInputTokens || 0;
+        entry.cacheWriteTokens += usage.cacheCreationInputTokens || 0;
+        entry.cost += usage.costUSD || 0;
+        entry.priceTableCost += priceTableCost || 0;
+
+        summary.inputTokens += usage.inputTokens || 0;
+        summary.outputTokens += usage.outputTokens || 0;
+        summary.cacheReadTokens += usage.cacheReadInputTokens || 0;
+        summary.cacheWriteTokens += usage.cacheCreationInputTokens || 0;
+
+        if (priceTableCost === null) {
+            log('WARN', `No price table entry for model ${model}`);
+        } else if (reported) {
+            const sdkCost = usage.costUSD || 0;
+            if (Math.abs(priceTableCost - sdkCost) > Math.max(0.0001, sdkCost * 0.05)) {
+                log('WARN', `Cost mismatch for ${model}: SDK $${sdkCost.toFixed(4)} vs price table $${priceTableCost.toFixed(4)}`);
+            }
+        }
+    }
 
-// Estimate tokens (~4 chars per token)
-function estimateTokens(text) {
-    return Math.ceil((text || '').length / 4);
+    summary.cost = reported
+        ? agent.result.total_cost_usd || 0
+        : Object.values(modelUsage).reduce((sum, u) => sum + u.costUSD, 0);
+
+    stats.totalInputTokens += summary.inputTokens;
+    stats.totalOutputTokens += summary.outputTokens;
+    stats.totalCacheReadTokens += summary.cacheReadTokens;
+    stats.totalCacheWriteTokens += summary.cacheWriteTokens;
+    stats.totalCost += summary.cost;
+    recordSpend(agent, summary, modelUsage);
+    return summary;
 }
 
-function calculateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000000) * TOKEN_COSTS.inputPer1M;
-    const outputCost = (outputTokens / 1000000) * TOKEN_COSTS.outputPer1M;
-    return inputCost + outputCost;
+function formatUsageSummary(u) {
+    return `Tokens in/out: ${u.inputTokens}/${u.outputTokens}, cache r/w: ${u.cacheReadTokens}/${u.cacheWriteTokens}, ` +
+        `Cost: $${u.cost.toFixed(4)}${u.reported ? '' : ' (estimated)'}`;
 }
 
 // Health tracking
@@ -291,11 +702,15 @@ let stats = {
     status: 'starting',
     totalInputTokens: 0,
     totalOutputTokens: 0,
-    totalCost: 0
+    totalCacheReadTokens: 0,
+    totalCacheWriteTokens: 0,
+    totalCost: 0,
+    byModel: {}
 };
 
 let isProcessing = false;
 let activeAgents = 0;
+let deliveryMode = 'polling';
 
 function updateHealth(updates = {}) {
     stats = { ...stats, ...updates, lastHeartbeat: Date.now() };
@@ -305,7 +720,11 @@ function updateHealth(updates = {}) {
             uptime: Math.floor((Date.now() - stats.startTime) / 1000),
             pid: process.pid,
             workingDir: WORKING_DIR,
-            queueLength: messageQueue.length,
+            deliveryMode,
+            chats: Object.keys(loadChatStates()).length,
+            activeChats: new Set([...activeRuns.values()].map(r => r.chatId)).size,
+            queueLength: jobs.filter(j => j.status === 'pending').length,
+            sendQueue: { pending: sendQueueLength(), ...sendStats },
             isProcessing,
             activeAgents,
             costFormatted: `$${stats.totalCost.toFixed(4)}`
@@ -315,8 +734,14 @@ function updateHealth(updates = {}) {
 
 setInterval(() => updateHealth(), 5000);
 
-let lastUpdateId = loadState();
-let messageQueue = [];
+// lastUpdateId is the polling offset; recentUpdateIds catches redelivered
+// updates, which (unlike a high-water mark) also lets through webhook updates
+// that arrive out of order
+const MAX_RECENT_UPDATES = 1000;
+const bridgeState = loadState();
+let lastUpdateId = bridgeState.lastUpdateId;
+const recentUpdateIds = new Set(bridgeState.recentUpdateIds);
+let jobs = loadJobs();
 
 // Telegram API
 const API_BASE = `https://api.telegram.org/bot${BOT_TOKEN}`;
@@ -344,55 +769,426 @@ function log(level, message, data = '') {
 // TELEGRAM API
 // ============================================
 
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Room left in each chunk for the "[i/n]" header
+const CHUNK_HEADER_RESERVE = 16;
+
+function closingTags(stack) {
+    return stack.slice().reverse().map(tag => `</${tag.match(/^<([\w-]+)/)[1]}>`).join('');
+}
+
+// Split Telegram HTML into chunks of at most `limit` characters. Cuts fall
+// only between tags and entities, preferably at a paragraph, then a line,
+// then a word break. Tags open at a cut are closed at the end of the chunk
+// and re-opened at the start of the next one.
+function splitHtml(text, limit) {
+    if (text.length <= limit) return [text];
+
+    const chunks = [];
+    let reopen = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const prefix = reopen.join('');
+        const budget = limit - prefix.length;
+        const stack = [...reopen];
+        const best = {};
+        let i = pos;
+
+        while (i < text.length) {
+            const cost = i - pos + closingTags(stack).length;
+            if (cost > budget) break;
+
+            const cut = { index: i, stack: [...stack] };
+            best.any = cut;
+            if (text[i] === ' ') best.word = cut;
+            if (text[i] === '\n') best.line = cut;
+            if (text[i] === '\n' && text[i - 1] === '\n') best.paragraph = cut;
+
+            const end = text[i] === '<' ? text.indexOf('>', i) : -1;
+            if (end !== -1) {
+                const tag = text.slice(i, end + 1);
+                if (tag.startsWith('</')) stack.pop();
+                else stack.push(tag);
+                i = end + 1;
+            } else if (text[i] === '&') {
+                const semicolon = text.indexOf(';', i);
+                i = semicolon > i && semicolon - i < 10 ? semicolon + 1 : i + 1;
+            } else {
+                // Keep surrogate pairs (emoji) together
+                const code = text.charCodeAt(i);
+                i += code >= 0xD800 && code <= 0xDBFF ? 2 : 1;
+            }
+        }
+
+        let cut;
+        if (i >= text.length && text.length - pos + closingTags(stack).length <= budget) {
+            cut = { index: text.length, stack };
+        } else {
+            // Prefer the nicest break that still fills at least half the chunk
+            const halfway = pos + budget / 2;
+            cut = ['paragraph', 'line', 'word'].map(kind => best[kind]).find(c => c && c.index > halfway) ||
+                best.any || { index: i, stack };
+            if (cut.index <= pos) cut = { index: i, stack }; // a single tag longer than a chunk
+        }
+
+        const body = text.slice(pos, cut.index);
+        if (body.trim()) {
+            chunks.push(prefix + body.replace(/\s+$/, '') + closingTags(cut.stack));
+        }
+        reopen = cut.stack;
+        pos = cut.index;
+        // Drop the break itself, but keep indentation inside code blocks
+        if (text[pos] === ' ' && !reopen.some(tag => tag.startsWith('<pre'))) pos++;
+        while (text[pos] === '\n') pos++;
+    }
+    return chunks;
+}
+
+// Telegram-sized chunks, numbered when there is more than one
+function splitMessage(text) {
+    const chunks = splitHtml(text, MAX_MESSAGE_LENGTH - CHUNK_HEADER_RESERVE);
+    if (chunks.length <= 1) return chunks;
+    return chunks.map((chunk, i) => `[${i + 1}/${chunks.length}]\n${chunk}`);
+}
+
+// Plain-text version of Telegram HTML, for when Telegram rejects the markup
+function stripHtml(text) {
+    return text
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+// Everything the bridge posts to a chat goes through one outgoing queue.
+// Calls for the same chat run one at a time in the order they were made, spaced
+// out per chat and overall to stay under Telegram's limits (about one message
+// a second per chat, 20 a minute in groups, 30 a second in total). A 429 pauses
+// the chat for the retry_after Telegram asks for, then the call is retried.
+const SENDS_PER_SECOND = parseInt(process.env.TELEGRAM_SENDS_PER_SECOND) || 25;
+const CHAT_SEND_INTERVAL_MS = parseInt(process.env.TELEGRAM_CHAT_INTERVAL_MS) || 1000;
+const GROUP_SEND_INTERVAL_MS = 3000;
+const MAX_SEND_ATTEMPTS = 5;
+const DELAYED_SEND_MS = 2000;
+const STALE_TYPING_MS = 5000;
+
+// chatId -> { items, busy, nextAt, pausedUntil }; kept so the spacing
+// carries over between bursts
+const sendQueues = new Map();
+const recentSends = [];
+// dropped: given up on after MAX_SEND_ATTEMPTS; delayed: waited over DELAYED_SEND_MS
+const sendStats = { sent: 0, failed: 0, dropped: 0, retried: 0, rateLimited: 0, delayed: 0, maxDelayMs: 0, typingSkipped: 0 };
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function sendQueueLength() {
+    let length = 0;
+    for (const queue of sendQueues.values()) length += queue.items.length + (queue.busy ? 1 : 0);
+    return length;
+}
+
+// Queue a Bot API call for a chat; resolves with Telegram's response body.
+// options:
+//   light     - chat actions: skip the per-chat spacing and drop when stale
+//   coalesce  - a queued call with the same key is replaced by this one
+//               (e.g. successive edits of one progress message)
+//   axios     - extra axios options (uploads)
+function telegramCall(chatId, method, payload, options = {}) {
+    // Topics share their group's queue: Telegram's limits are per chat
+    const key = String(telegramChatId(chatId));
+    if (!sendQueues.has(key)) {
+        sendQueues.set(key, { items: [], busy: false, nextAt: 0, pausedUntil: 0 });
+    }
+    const queue = sendQueues.get(key);
+
+    return new Promise((resolve, reject) => {
+        const waiting = options.coalesce && queue.items.find(item => item.coalesce === options.coalesce);
+        if (waiting) {
+            waiting.payload = payload;
+            waiting.waiters.push({ resolve, reject });
+            return;
+        }
+        queue.items.push({
+            method, payload,
+            light: options.light,
+            coalesce: options.coalesce,
+            axios: options.axios,
+            queuedAt: Date.now(),
+            waiters: [{ resolve, reject }]
+        });
+        drainSendQueue(key);
+    });
+}
+
+async function waitForSendSlot(queue, item) {
+    for (;;) {
+        const now = Date.now();
+        const chatReady = Math.max(queue.pausedUntil, item.light ? 0 : queue.nextAt);
+        if (chatReady > now) {
+            await sleep(chatReady - now);
+            continue;
+        }
+        while (recentSends.length > 0 && recentSends[0] <= now - 1000) recentSends.shift();
+        if (recentSends.length >= SENDS_PER_SECOND) {
+            await sleep(recentSends[0] + 1000 - now);
+            continue;
+        }
+        recentSends.push(now);
+        return;
+    }
+}
+
+async function drainSendQueue(key) {
+    const queue = sendQueues.get(key);
+    if (queue.busy) return;
+    queue.busy = true;
+    const interval = key.startsWith('-') ? GROUP_SEND_INTERVAL_MS : CHAT_SEND_INTERVAL_MS;
+
+    while (queue.items.length > 0) {
+        const item = queue.items.shift();
+        const settle = (error, data) => item.waiters.forEach(w => error ? w.reject(error) : w.resolve(data));
+
+        // A typing indicator that could not be shown in time is pointless
+        if (item.light && Date.now() - item.queuedAt > STALE_TYPING_MS) {
+            sendStats.typingSkipped++;
+            settle(null, null);
+            continue;
+        }
+        await waitForSendSlot(queue, item);
+
+        const delay = Date.now() - item.queuedAt;
+        if (delay > DELAYED_SEND_MS) sendStats.delayed++;
+        sendStats.maxDelayMs = Math.max(sendStats.maxDelayMs, delay);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await axios.post(`${API_BASE}/${item.method}`, item.payload, item.axios);
+                if (!item.light) queue.nextAt = Date.now() + interval;
+                sendStats.sent++;
+                settle(null, response.data);
+                break;
+            } catch (error) {
+                const status = error.response?.status;
+                const retryable = status === 429 || status >= 500;
+                if (!retryable || attempt >= MAX_SEND_ATTEMPTS) {
+                    if (retryable) {
+                        sendStats.dropped++;
+                        log('ERROR', `Dropped ${item.method} to ${key} after ${attempt} attempts:`, error.response?.data?.description || error.message);
+                    } else {
+                        sendStats.failed++;
+                    }
+                    settle(error);
+                    break;
+                }
+                sendStats.retried++;
+                if (status === 429) {
+                    sendStats.rateLimited++;
+                    const retryAfter = error.response.data?.parameters?.retry_after || 1;
+                    queue.pausedUntil = Date.now() + retryAfter * 1000;
+                    log('WARN', `Rate limited by Telegram in ${key}; retrying ${item.method} in ${retryAfter}s`);
+                } else {
+                    queue.pausedUntil = Date.now() + attempt * 1000;
+                }
+                await waitForSendSlot(queue, item);
+            }
+        }
+    }
+
+    queue.busy = false;
+}
+
+// Whether Telegram rejected the request itself (e.g. bad markup), as opposed
+// to a rate limit, server or network error
+function isBadRequest(error) {
+    return error.response?.status === 400;
+}
+
+// reply_parameters for options.replyTo (a message id); the message is still
+// sent if that one was deleted
+function replyParameters(options) {
+    return options.replyTo ? { message_id: options.replyTo, allow_sending_without_reply: true } : undefined;
+}
+
+// Send a single chunk, falling back to plain text if HTML parsing fails.
+// Returns the Telegram message id.
+async function postChunk(chatId, chunk, options = {}) {
+    try {
+        const data = await telegramCall(chatId, 'sendMessage', {
+            ...chatTarget(chatId),
+            text: chunk,
+            parse_mode: options.parse_mode || 'HTML',
+            disable_web_page_preview: true,
+            reply_parameters: replyParameters(options),
+            reply_markup: options.reply_markup
+        });
+        return data.result?.message_id;
+    } catch (htmlError) {
+        if (!isBadRequest(htmlError)) throw htmlError;
+        // If HTML parsing fails, send as plain text
+        const data = await telegramCall(chatId, 'sendMessage', {
+            ...chatTarget(chatId),
+            text: stripHtml(chunk),
+            disable_web_page_preview: true,
+            reply_parameters: replyParameters(options),
+            reply_markup: options.reply_markup
+        });
+        return data.result?.message_id;
+    }
+}
+
+// Returns the message id of the first chunk sent. options.reply_markup
+// (e.g. an inline keyboard) is attached to the last chunk only, and
+// options.replyTo (a message id to answer) to the first. The ids of all
+// chunks are added to options.sentIds if given.
 async function sendMessage(chatId, text, options = {}) {
     if (!text || text.trim() === '') {
         text = '(Empty response)';
     }
 
     try {
-        const chunks = [];
-        let remaining = text;
-        while (remaining.length > 0) {
-            chunks.push(remaining.substring(0, 4000));
-            remaining = remaining.substring(4000);
-        }
+        const chunks = splitMessage(text);
+        let firstMessageId = null;
 
+        // The queue spaces the chunks out and keeps them in order
         for (let i = 0; i < chunks.length; i++) {
-            let chunk = chunks[i];
-            if (chunks.length > 1) {
-                chunk = `[${i + 1}/${chunks.length}]\n${chunk}`;
-            }
+            const messageId = await postChunk(chatId, chunks[i], {
+                ...options,
+                reply_markup: i === chunks.length - 1 ? options.reply_markup : undefined,
+                replyTo: i === 0 ? options.replyTo : null
+            });
+            if (i === 0) firstMessageId = messageId;
+            options.sentIds?.push(messageId);
+        }
+        return firstMessageId;
+    } catch (error) {
+        log('ERROR', 'Failed to send message:', error.message);
+        return null;
+    }
+}
 
-            try {
-                await axios.post(`${API_BASE}/sendMessage`, {
-                    chat_id: chatId,
-                    text: chunk,
-                    parse_mode: options.parse_mode || 'HTML',
-                    disable_web_page_preview: true
-                });
-            } catch (htmlError) {
-                // If HTML parsing fails, send as plain text
-                await axios.post(`${API_BASE}/sendMessage`, {
-                    chat_id: chatId,
-                    text: chunk.replace(/<[^>]+>/g, ''), // Strip HTML tags
-                    disable_web_page_preview: true
-                });
-            }
+// Edit a message in place. Returns false if Telegram rejected the edit.
+// options.reply_markup replaces the message's inline keyboard. Edits of the
+// same message that are still queued are merged into the latest one.
+async function editMessage(chatId, messageId, text, options = {}) {
+    const coalesce = `edit:${messageId}`;
+    try {
+        await telegramCall(chatId, 'editMessageText', {
+            chat_id: telegramChatId(chatId),
+            message_id: messageId,
+            text,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: options.reply_markup
+        }, { coalesce });
+        return true;
+    } catch (htmlError) {
+        const description = htmlError.response?.data?.description || '';
+        if (description.includes('message is not modified')) return true;
+        if (!isBadRequest(htmlError)) {
+            log('ERROR', 'Failed to edit message:', description || htmlError.message);
+            return false;
+        }
+        try {
+            await telegramCall(chatId, 'editMessageText', {
+                chat_id: telegramChatId(chatId),
+                message_id: messageId,
+                text: stripHtml(text),
+                disable_web_page_preview: true,
+                reply_markup: options.reply_markup
+            }, { coalesce });
+            return true;
+        } catch (error) {
+            log('ERROR', 'Failed to edit message:', error.response?.data?.description || error.message);
+            return false;
+        }
+    }
+}
 
-            if (i < chunks.length - 1) {
-                await new Promise(r => setTimeout(r, 500));
-            }
+// Telegram bots may upload documents up to 50 MB
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+async function sendDocument(chatId, filePath, caption = '') {
+    await sendDocumentContent(chatId, fs.readFileSync(filePath), path.basename(filePath), caption);
+}
+
+// Upload in-memory content (a Buffer or string) as a document. Returns the
+// Telegram message id.
+async function sendDocumentContent(chatId, content, fileName, caption = '', options = {}) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(chatTarget(chatId))) {
+        form.append(key, String(value));
+    }
+    if (options.replyTo) {
+        form.append('reply_parameters', JSON.stringify(replyParameters(options)));
+    }
+    if (caption) {
+        form.append('caption', caption);
+        form.append('parse_mode', 'HTML');
+    }
+    if (options.reply_markup) {
+        form.append('reply_markup', JSON.stringify(options.reply_markup));
+    }
+    form.append('document', new Blob([content]), fileName);
+    const data = await telegramCall(chatId, 'sendDocument', form, { axios: { maxBodyLength: Infinity } });
+    return data.result?.message_id;
+}
+
+// Send a final response, replacing the status message with its first chunk.
+// Answers over the chat's long-answer threshold go out as a summary and a
+// document instead (see LONG ANSWERS). options.markdown is the unrendered
+// answer, used for the .md attachment; options.sentIds collects the ids of
+// every message the answer ends up in; options.workingDir is the directory the
+// answer came from, which the "Show in chat" button is limited to.
+async function deliverResponse(chatId, text, statusMessageId, options = {}) {
+    const sentIds = options.sentIds || [];
+    if (!text || text.trim() === '') {
+        text = '(Empty response)';
+    }
+    if (isLongAnswer(chatId, text)) {
+        try {
+            return await deliverLongAnswer(chatId, text, statusMessageId, options.markdown, sentIds, options.workingDir);
+        } catch (error) {
+            log('ERROR', 'Failed to send long answer as a document:', error.response?.data?.description || error.message);
+        }
+    }
+    if (!statusMessageId) {
+        return sendMessage(chatId, text, { sentIds });
+    }
+
+    const chunks = splitMessage(text);
+    if (!(await editMessage(chatId, statusMessageId, chunks[0]))) {
+        return sendMessage(chatId, text, { sentIds });
+    }
+    sentIds.push(statusMessageId);
+
+    try {
+        for (let i = 1; i < chunks.length; i++) {
+            sentIds.push(await postChunk(chatId, chunks[i]));
         }
     } catch (error) {
         log('ERROR', 'Failed to send message:', error.message);
     }
+    return statusMessageId;
 }
 
+// Skipped while a typing action is already waiting in the chat's queue
 async function sendTyping(chatId) {
     try {
-        await axios.post(`${API_BASE}/sendChatAction`, {
-            chat_id: chatId,
+        await telegramCall(chatId, 'sendChatAction', {
+            ...chatTarget(chatId),
             action: 'typing'
+        }, { light: true, coalesce: 'typing' });
+    } catch (error) {}
+}
+
+async function answerCallbackQuery(callbackQueryId, text = '') {
+    try {
+        await axios.post(`${API_BASE}/answerCallbackQuery`, {
+            callback_query_id: callbackQueryId,
+            text
         });
     } catch (error) {}
 }
@@ -403,7 +1199,8 @@ async function getUpdates() {
             params: {
                 offset: lastUpdateId + 1,
                 timeout: 30,
-                allowed_updates: ['message']
+                // Must be a JSON array; axios would otherwise send allowed_updates[]=...
+                allowed_updates: JSON.stringify(ALLOWED_UPDATES)
             },
             timeout: 35000
         });
@@ -416,213 +1213,3460 @@ async function getUpdates() {
     }
 }
 
-function isAuthorized(chatId) {
-    if (ALLOWED_CHAT_IDS.length === 0) return false;
-    return ALLOWED_CHAT_IDS.includes(String(chatId));
-}
-
 // ============================================
-// SYSTEM PROMPTS FOR MODES
+// LONG ANSWERS
 // ============================================
 
-const SYSTEM_PROMPTS = {
-    finance: `You are a quantitative financial analyst and economist with deep expertise in:
-- Technical analysis, chart patterns, and trading indicators
-- Fundamental analysis and company valuation
-- Macroeconomics, monetary policy, and fiscal policy
-- Portfolio theory, risk management, and optimization
-- Derivatives, options pricing, and hedging strategies
-- Cryptocurrency and DeFi analysis
-- Statistical modeling and quantitative methods
-
-Format responses cleanly without markdown tables. Use bullet points and clear sections.
-Be precise with numbers and always cite data sources when possible.`,
-
-    dev: `You are a senior full-stack developer with expertise in:
-- Frontend: React, Vue, Next.js, TypeScript, Tailwind CSS
-- Backend: Node.js, Python, Go, REST APIs, GraphQL
-- Databases: PostgreSQL, MongoDB, Redis, Supabase
-- DevOps: Docker, CI/CD, AWS, Vercel, Netlify
-- Mobile: React Native, Flutter
-- AI/ML: LangChain, OpenAI API, embeddings, RAG
-
-Write clean, production-ready code. Explain architectural decisions.
-Format code blocks properly but avoid markdown tables.`,
-
-    legal: `You are a legal technology expert with expertise in:
-- Judicial behavior analysis and prediction
-- Court data analytics and legal research
-- Legal tech SaaS architecture
-- SEC compliance and regulatory filings
-- Subscription agreement drafting and review
-- Legal tech product development
+// Answers longer than the threshold are sent as a short preview plus the full
+// text as a document, with a button to expand them into chunks after all.
+// Each chat picks its own delivery, format and threshold with /long.
+const LONG_ANSWER_CHARS = parseInt(process.env.LONG_ANSWER_CHARS) || 8000;
+const LONG_ANSWER_PREVIEW_CHARS = 700;
+const MAX_EXPANDABLE_ANSWERS = 50;
+
+// Expand-button id -> { chatId, text }; kept in memory only
+const expandableAnswers = new Map();
+let expandCounter = 0;
+
+function getLongAnswerSettings(chatId) {
+    const state = getChatState(chatId);
+    return {
+        delivery: state.longAnswers || 'file',
+        format: state.longAnswerFormat || 'md',
+        threshold: state.longAnswerChars || LONG_ANSWER_CHARS
+    };
+}
 
-Format responses professionally. Cite legal sources when applicable.
-Avoid markdown tables - use bullet points instead.`,
+function isLongAnswer(chatId, text) {
+    const settings = getLongAnswerSettings(chatId);
+    return settings.delivery === 'file' && text.length > settings.threshold;
+}
 
-    health: `You are a healthcare technology expert specializing in medical applications.
+function longAnswerDocument(text, markdown, format) {
+    if (format === 'html') {
+        return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Claude answer</title></head>\n' +
+            '<body style="white-space: pre-wrap; font-family: sans-serif; max-width: 60em; margin: 2em auto;">\n' +
+            text + '\n</body></html>\n';
+    }
+    return markdown || stripHtml(text);
+}
 
-Your expertise includes:
-- EMS protocols and prehospital care
-- Medical decision support systems
-- Pediatric dosing calculations (weight-based)
-- Medical knowledge base design
-- PWA development for offline-first medical apps
-- HIPAA compliance and medical data security
+async function deliverLongAnswer(chatId, text, statusMessageId, markdown, sentIds = [], workingDir = null) {
+    const settings = getLongAnswerSettings(chatId);
+    const chunkCount = splitMessage(text).length;
 
-Be precise with medical information. Always emphasize following local protocols.
-Format responses clearly without markdown tables.`,
+    const id = String(++expandCounter);
+    expandableAnswers.set(id, { chatId, text, workingDir });
+    if (expandableAnswers.size > MAX_EXPANDABLE_ANSWERS) {
+        expandableAnswers.delete(expandableAnswers.keys().next().value);
+    }
 
-    judge: `You are an expert on judicial analytics and court data.
+    const preview = splitHtml(text, LONG_ANSWER_PREVIEW_CHARS)[0];
+    const summary = `${preview}\n\n<i>… ${text.length.toLocaleString()} characters in total, attached as a file.</i>`;
+    const reply_markup = {
+        inline_keyboard: [[{ text: `Show in chat (${chunkCount} message${chunkCount === 1 ? '' : 's'})`, callback_data: `expand:${id}` }]]
+    };
 
-Key capabilities:
-- Analyze judicial behavior patterns and case outcomes
-- Access civil, criminal, and family law metrics
-- Court and jurisdiction data lookup
-- Case analytics and outcome predictions
+    if (!statusMessageId || !(await editMessage(chatId, statusMessageId, summary, { reply_markup }))) {
+        await sendMessage(chatId, summary, { reply_markup, sentIds });
+    } else {
+        sentIds.push(statusMessageId);
+    }
 
-Help users understand judicial patterns, search for judges, and analyze court data.
-Format responses cleanly without markdown tables.`,
+    const fileName = `answer-${new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '')}.${settings.format}`;
+    sentIds.push(await sendDocumentContent(chatId, longAnswerDocument(text, markdown, settings.format), fileName));
+    log('INFO', `Sent ${text.length}-char answer to ${chatId} as ${fileName}`);
+    return statusMessageId;
+}
 
-    default: `Format responses cleanly for Telegram. Avoid markdown tables - use bullet points or plain text instead. Keep responses focused and well-structured.`
-};
+// Send a long answer as chunks after all (the "Show in chat" button)
+async function expandLongAnswer(chatId, id) {
+    const answer = expandableAnswers.get(id);
+    if (!answer || answer.chatId !== chatId) return false;
+    await sendMessage(chatId, answer.text);
+    return true;
+}
 
 // ============================================
-// CLAUDE SDK EXECUTION
+// TOOL POLICIES
 // ============================================
 
-async function runClaude(prompt, chatId, mode = 'default', includeContext = true) {
-    log('INFO', `Running Claude (${mode}): "${prompt.substring(0, 80)}..."`);
-    updateHealth({ status: 'processing' });
-    isProcessing = true;
-    activeAgents = 1;
+// A policy restricts what Claude may do, whatever the user approves. Mode files
+// set one with "policy"; POLICIES_FILE maps chat ids to one. Either can be a
+// preset name or an object with:
+//   readOnly    - only reading and searching tools (no Bash, no edits)
+//   network     - false blocks web tools, MCP tools and networked commands
+//   bashAllow   - Bash command patterns ("git status", "npm test*"); each part
+//                 of a compound command must match one
+//   writePaths  - directories (relative to the working directory) that file
+//                 tools may write to. Bash is not covered; pair with bashAllow.
+// Roles can set one too (see USERS & ROLES). When several apply, a call must
+// pass all of them.
+const POLICIES_FILE = process.env.POLICIES_FILE
+    ? path.resolve(process.env.POLICIES_FILE)
+    : path.join(__dirname, 'policies.json');
+
+const POLICY_PRESETS = {
+    'read-only': { readOnly: true },
+    'no-network': { network: false }
+};
 
-    const typingInterval = setInterval(() => sendTyping(chatId), 4000);
-    sendTyping(chatId);
+const READ_ONLY_TOOLS = [
+    'Read', 'Glob', 'Grep', 'LS', 'NotebookRead', 'WebSearch', 'WebFetch',
+    'TodoWrite', 'Task', 'ExitPlanMode', 'ListMcpResourcesTool', 'ReadMcpResourceTool'
+];
+const NETWORK_TOOLS = ['WebSearch', 'WebFetch', 'ListMcpResourcesTool', 'ReadMcpResourceTool'];
+const NETWORK_PROGRAMS = ['curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'nc', 'ncat', 'telnet', 'ftp', 'Invoke-WebRequest', 'Invoke-RestMethod'];
+// Subcommands that reach the network, for programs that are otherwise local
+const NETWORK_SUBCOMMANDS = {
+    git: ['clone', 'fetch', 'pull', 'push', 'ls-remote', 'submodule'],
+    npm: ['install', 'i', 'ci', 'add', 'update', 'publish'],
+    npx: null,
+    yarn: ['install', 'add', 'upgrade', 'publish'],
+    pnpm: ['install', 'i', 'add', 'update', 'publish'],
+    pip: ['install', 'download'],
+    docker: ['pull', 'push', 'login']
+};
 
-    try {
-        const systemPrompt = SYSTEM_PROMPTS[mode] || SYSTEM_PROMPTS.default;
-        const conversationContext = includeContext ? buildConversationContext(5) : '';
-        const fullPrompt = `${systemPrompt}${conversationContext}\n\n---\n\nUser request: ${prompt}`;
+// Normalise a preset name or policy object; throws on anything else
+function parsePolicy(value) {
+    if (typeof value === 'string') {
+        if (!POLICY_PRESETS[value]) throw new Error(`unknown policy preset "${value}"`);
+        return { name: value, ...POLICY_PRESETS[value] };
+    }
+    if (!value || typeof value !== 'object') throw new Error('policy must be a preset name or an object');
+
+    const policy = {
+        name: value.name || 'custom',
+        readOnly: value.readOnly === true,
+        network: value.network !== false
+    };
+    for (const key of ['bashAllow', 'writePaths']) {
+        if (value[key] === undefined) continue;
+        if (!Array.isArray(value[key]) || value[key].some(v => typeof v !== 'string')) {
+            throw new Error(`${key} must be an array of strings`);
+        }
+        policy[key] = value[key];
+    }
+    return policy;
+}
+
+// chat id -> policy. Invalid entries are logged and skipped.
+function loadChatPolicies() {
+    const policies = {};
+    if (!fs.existsSync(POLICIES_FILE)) return policies;
+    try {
+        const config = JSON.parse(fs.readFileSync(POLICIES_FILE, 'utf8'));
+        for (const [chatId, value] of Object.entries(config)) {
+            try {
+                policies[chatId] = parsePolicy(value);
+            } catch (error) {
+                log('ERROR', `Skipping policy for chat ${chatId}: ${error.message}`);
+            }
+        }
+    } catch (e) {
+        log('ERROR', `Failed to load ${POLICIES_FILE}:`, e.message);
+    }
+    return policies;
+}
+
+const CHAT_POLICIES = loadChatPolicies();
+
+// "git status && npm test | tee out & make" -> ["git status", "npm test", "tee out", "make"]
+function splitShellCommand(command) {
+    return String(command || '')
+        .split(/&&|\|\||[;|\n]|(?<![<>])&(?!>)/)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+function matchesCommandPattern(command, pattern) {
+    const regex = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(command);
+}
+
+// Interpreters and the options that run code given on the command line, which
+// could reach the network without naming a networked program
+const INLINE_CODE_OPTIONS = {
+    python: ['-c'], python3: ['-c'], py: ['-c'],
+    node: ['-e', '--eval', '-p', '--print'], deno: ['eval'], bun: ['-e', '--eval'],
+    bash: ['-c'], sh: ['-c'], zsh: ['-c'],
+    perl: ['-e', '-E'], ruby: ['-e'], php: ['-r'],
+    powershell: ['-c', '-command', '-encodedcommand'], pwsh: ['-c', '-command', '-encodedcommand'],
+    cmd: ['/c', '/k']
+};
+
+// The program names in a command part, without paths, quotes, .exe or a
+// leading $( ` ( from substitutions
+function commandWords(command) {
+    return command.split(/\s+/)
+        .map(word => path.basename(word.replace(/['"]/g, '').replace(/^[$(`<>]+/, '')).replace(/\.exe$/i, ''));
+}
+
+// Any word can start a networked program ("sudo curl", "env X=1 git push",
+// "xargs wget"), so every word is checked, not only the first. This is a
+// denylist, so it is best-effort: a script file can still open connections.
+function isNetworkCommand(command) {
+    const words = commandWords(command);
+    return words.some((name, i) => {
+        if (NETWORK_PROGRAMS.includes(name)) return true;
+        if (!(name in NETWORK_SUBCOMMANDS)) return false;
+        const subcommands = NETWORK_SUBCOMMANDS[name];
+        return subcommands === null || words.slice(i + 1).some(word => subcommands.includes(word));
+    });
+}
+
+function runsInlineCode(command) {
+    const words = commandWords(command).map(word => word.toLowerCase());
+    return words.some((name, i) =>
+        name in INLINE_CODE_OPTIONS && words.slice(i + 1).some(word => INLINE_CODE_OPTIONS[name].includes(word)));
+}
+
+// Substitutions run commands the per-part checks never see
+const SHELL_SUBSTITUTION = /\$\(|`|[<>]\(/;
+
+// Whether a command writes files through redirections or options such as
+// git diff --output. Duplicating a stream (2>&1) and writing to /dev/null are fine.
+function writesThroughShell(command) {
+    const redirections = command.replace(/\d*>&\d+/g, '').replace(/\d*>>?\s*\/dev\/null\b/g, '');
+    return />/.test(redirections) || /(^|\s)--output(=|\s|$)/.test(command);
+}
+
+// Why the policy blocks this tool call, or null if it doesn't
+function checkPolicy(policy, toolName, input = {}, workingDir) {
+    const isMcp = toolName.startsWith('mcp__');
+
+    if (policy.readOnly && !READ_ONLY_TOOLS.includes(toolName)) {
+        return `${toolName} is not allowed in read-only mode`;
+    }
+    if (!policy.network && (NETWORK_TOOLS.includes(toolName) || isMcp)) {
+        return `${toolName} needs network access, which is disabled`;
+    }
+
+    if (toolName === 'Bash') {
+        const command = input.command || '';
+        const parts = splitShellCommand(command);
+        if (policy.bashAllow && SHELL_SUBSTITUTION.test(command)) {
+            return 'Command substitution is not allowed with a command allowlist';
+        }
+        if ((policy.readOnly || policy.writePaths) && writesThroughShell(command)) {
+            return 'Writing files from Bash (redirections, --output) is not allowed under this policy';
+        }
+        if (!policy.network) {
+            const networked = parts.find(isNetworkCommand);
+            if (networked) return `"${networked}" needs network access, which is disabled`;
+            const inline = parts.find(runsInlineCode);
+            if (inline) return `"${inline}" runs inline code, which is not allowed without network access`;
+        }
+        if (policy.bashAllow) {
+            const denied = parts.find(part => !policy.bashAllow.some(p => matchesCommandPattern(part, p)));
+            if (denied) return `"${denied}" is not in the allowed commands (${policy.bashAllow.join(', ')})`;
+        }
+    }
+
+    if (policy.writePaths && FILE_WRITE_TOOLS.includes(toolName)) {
+        const target = path.resolve(workingDir, input.file_path || input.notebook_path || '');
+        const allowed = policy.writePaths.some(dir => {
+            const relative = path.relative(path.resolve(workingDir, dir), target);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+        if (!allowed) {
+            return `Writing to ${displayPath(target, workingDir)} is not allowed (writable: ${policy.writePaths.join(', ')})`;
+        }
+    }
+
+    return null;
+}
+
+// The policies that apply to a run, labelled by where they come from
+function getPolicies(chatId, mode, userId = null) {
+    const policies = [];
+    const modePolicy = getMode(mode).policy;
+    if (modePolicy) policies.push({ source: `mode ${mode}`, policy: modePolicy });
+    // A topic has its group's policy unless it has its own
+    const chatPolicy = CHAT_POLICIES[chatId] || CHAT_POLICIES[telegramChatId(chatId)];
+    if (chatPolicy) policies.push({ source: 'this chat', policy: chatPolicy });
+    const role = userId !== null && getUserRole(userId);
+    if (role?.policy) policies.push({ source: `role ${role.name}`, policy: role.policy });
+    return policies;
+}
+
+function describePolicies(policies) {
+    return policies.map(({ source, policy }) => `${policy.name} (${source})`).join(', ');
+}
+
+// SDK hooks that enforce the run's policies. A PreToolUse hook runs before
+// allowedTools and session approvals are consulted, so neither can bypass it.
+function createPolicyHooks(chatId, mode, agent, agentLabel = null) {
+    const policies = getPolicies(chatId, mode, agent.userId);
+    if (policies.length === 0) return undefined;
+
+    const enforce = async (hookInput) => {
+        for (const { source, policy } of policies) {
+            const reason = checkPolicy(policy, hookInput.tool_name, hookInput.tool_input || {}, agent.workingDir);
+            if (!reason) continue;
+
+            log('WARN', `Policy ${policy.name} (${source}) blocked ${hookInput.tool_name} in chat ${chatId}: ${reason}`);
+            auditResult(agent, hookInput.tool_use_id, 'blocked', { error: `${policy.name} (${source}): ${reason}` });
+            await sendMessage(chatId,
+                `<b>Blocked by policy</b> ${escapeHtml(policy.name)} (${escapeHtml(source)})` +
+                `${agentLabel ? ` - ${agentLabel}` : ''}\n${escapeHtml(reason)}`);
+            return {
+                hookSpecificOutput: {
+                    hookEventName: 'PreToolUse',
+                    permissionDecision: 'deny',
+                    permissionDecisionReason: `Blocked by the ${policy.name} policy: ${reason}`
+                }
+            };
+        }
+        return {};
+    };
+    return { PreToolUse: [{ hooks: [enforce] }] };
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Every tool call of every run goes to AUDIT_FILE (see audit-log.js): who asked
+// for it (run, job, chat, user, mode), what it targets (the Bash command, the
+// file read or written, the URL fetched) and how it ended (Bash exit code,
+// error, or denied by the user / blocked by a policy).
+const AUDIT_FILE = path.join(__dirname, '.audit.jsonl');
+const AUDIT_INPUT_MAX_CHARS = 2000;
+
+function auditTarget(toolName, input = {}) {
+    const target = input.command || input.file_path || input.notebook_path || input.url ||
+        input.pattern || input.query || input.path || '';
+    return String(target).substring(0, 500);
+}
+
+function writeAudit(entry) {
+    try {
+        auditLog.appendEntry(AUDIT_FILE, { timestamp: new Date().toISOString(), ...entry });
+    } catch (e) {
+        log('ERROR', 'Failed to write the audit log:', e.message);
+    }
+}
+
+function auditCall(agent, toolUseId, toolName, input = {}) {
+    agent.auditStarts.set(toolUseId, Date.now());
+    writeAudit({
+        event: 'call',
+        toolUseId,
+        runId: agent.runId,
+        jobId: agent.jobId,
+        agent: agent.index,
+        chatId: telegramChatId(agent.chatId),
+        topicId: topicOf(agent.chatId),
+        // The Telegram user id identifies who acted; usernames are optional and can change
+        userId: agent.userId,
+        username: agent.username,
+        mode: agent.mode,
+        workingDir: agent.workingDir,
+        tool: toolName,
+        target: auditTarget(toolName, input),
+        input: JSON.stringify(input).substring(0, AUDIT_INPUT_MAX_CHARS)
+    });
+}
+
+// outcome: 'ok', 'error', 'interrupted', 'denied' (by the user or a timeout)
+// or 'blocked' (by a policy)
+function auditResult(agent, toolUseId, outcome, details = {}) {
+    const started = agent.auditStarts.get(toolUseId);
+    agent.auditStarts.delete(toolUseId);
+    writeAudit({
+        event: 'result',
+        toolUseId,
+        runId: agent.runId,
+        outcome,
+        ...details,
+        durationMs: started ? Date.now() - started : null
+    });
+}
+
+// Claude Code reports a failed Bash command as an error starting "Exit code N"
+function bashExitCode(error) {
+    const match = String(error || '').match(/exit code (\d+)/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+function createAuditHooks(agent) {
+    const onCall = async (hookInput) => {
+        auditCall(agent, hookInput.tool_use_id, hookInput.tool_name, hookInput.tool_input);
+        return {};
+    };
+    const onResult = async (hookInput) => {
+        auditResult(agent, hookInput.tool_use_id, 'ok', hookInput.tool_name === 'Bash' ? { exitCode: 0 } : {});
+        return {};
+    };
+    const onFailure = async (hookInput) => {
+        auditResult(agent, hookInput.tool_use_id, hookInput.is_interrupt ? 'interrupted' : 'error', {
+            error: String(hookInput.error || '').substring(0, 500),
+            ...(hookInput.tool_name === 'Bash' ? { exitCode: bashExitCode(hookInput.error) } : {})
+        });
+        return {};
+    };
+    return {
+        PreToolUse: [{ hooks: [onCall] }],
+        PostToolUse: [{ hooks: [onResult] }],
+        PostToolUseFailure: [{ hooks: [onFailure] }]
+    };
+}
+
+// ============================================
+// USERS & ROLES
+// ============================================
+
+// Who may use the bridge, and for what. Users are keyed by Telegram user id
+// (the same as the chat id in a private chat) and stored in USERS_FILE with
+// their role. Owners manage them from Telegram with /users, /grant and
+// /revoke; messages from anyone else become access requests for the owners.
+//
+// A role has:
+//   commands     - built-in commands it may use, or "*"
+//   modes        - modes it may run prompts in (plain messages use the chat's
+//                  mode), or "*"; an empty list means no prompts at all
+//   directories  - where its runs may work (default: ALLOWED_DIRECTORIES)
+//   policy       - tool policy applied to all its runs, see TOOL POLICIES
+//   maxAgents    - most agents one /agents job may use
+//   admin        - manages users and budgets (/users, /budget override, ...)
+// ROLES_FILE can change the built-in roles below or add new ones.
+const USERS_FILE = path.join(__dirname, '.users.json');
+const ROLES_FILE = process.env.ROLES_FILE
+    ? path.resolve(process.env.ROLES_FILE)
+    : path.join(__dirname, 'roles.json');
+
+const ADMIN_COMMANDS = ['users', 'grant', 'revoke'];
+
+const DEFAULT_ROLES = {
+    owner: {
+        description: 'Everything, including users and budget overrides',
+        commands: '*', modes: '*', maxAgents: MAX_PARALLEL_AGENTS, admin: true
+    },
+    developer: {
+        description: 'Every mode, agents and file changes',
+        commands: '*', modes: '*', maxAgents: 5
+    },
+    analyst: {
+        description: 'Read-only questions in the analysis modes',
+        commands: ['start', 'status', 'stop', 'agents', 'cost', 'budget', 'new', 'sessions', 'resume',
+            'queue', 'cancel', 'schedule', 'schedules', 'unschedule', 'mode', 'long', 'get'],
+        modes: ['default', 'finance', 'legal', 'health', 'judge'],
+        policy: 'read-only',
+        maxAgents: 3
+    },
+    viewer: {
+        description: 'Status, queue and costs; no prompts',
+        commands: ['start', 'status', 'cost', 'budget', 'queue'],
+        modes: []
+    }
+};
+
+// Validate one role, on top of `base` when changing an existing one
+function parseRole(name, value, base = null) {
+    if (!/^[a-z0-9_-]{1,32}$/.test(name)) throw new Error('role names use a-z, 0-9, _ and -');
+    if (!value || typeof value !== 'object') throw new Error('a role must be an object');
+
+    const role = base
+        ? { ...base }
+        : { name, description: '', commands: [], modes: [], directories: null, policy: null, maxAgents: 0, admin: false };
+    if (typeof value.description === 'string') role.description = value.description;
+    for (const key of ['commands', 'modes']) {
+        if (value[key] === undefined) continue;
+        if (value[key] !== '*' && (!Array.isArray(value[key]) || value[key].some(v => typeof v !== 'string'))) {
+            throw new Error(`${key} must be "*" or an array of names`);
+        }
+        role[key] = value[key];
+    }
+    if (value.directories !== undefined) {
+        if (value.directories !== null && (!Array.isArray(value.directories) || value.directories.some(v => typeof v !== 'string'))) {
+            throw new Error('directories must be an array of paths');
+        }
+        role.directories = value.directories && value.directories.map(dir => path.resolve(WORKING_DIR, dir));
+    }
+    if (value.policy !== undefined) {
+        try {
+            role.policy = value.policy === null ? null : parsePolicy(value.policy);
+        } catch (error) {
+            throw new Error(`policy: ${error.message}`);
+        }
+    }
+    if (value.maxAgents !== undefined) {
+        if (!Number.isInteger(value.maxAgents) || value.maxAgents < 0) throw new Error('maxAgents must be a whole number');
+        role.maxAgents = Math.min(value.maxAgents, MAX_PARALLEL_AGENTS);
+    }
+    if (value.admin !== undefined) role.admin = value.admin === true;
+    return role;
+}
+
+// Built-in roles changed or extended by ROLES_FILE. Invalid entries are
+// logged and skipped.
+function loadRoles() {
+    const roles = {};
+    for (const [name, value] of Object.entries(DEFAULT_ROLES)) {
+        roles[name] = parseRole(name, value);
+    }
+    if (!fs.existsSync(ROLES_FILE)) return roles;
+    try {
+        const config = JSON.parse(fs.readFileSync(ROLES_FILE, 'utf8'));
+        for (const [name, value] of Object.entries(config)) {
+            try {
+                roles[name] = parseRole(name, value, roles[name]);
+            } catch (error) {
+                log('ERROR', `Skipping role ${name}: ${error.message}`);
+            }
+        }
+    } catch (e) {
+        log('ERROR', `Failed to load ${ROLES_FILE}:`, e.message);
+    }
+    return roles;
+}
+
+const ROLES = loadRoles();
+
+// { users: { [userId]: { role, name, username, addedAt, addedBy } },
+//   requests: { [userId]: { name, username, chatId, text, requestedAt, status } } }
+// Read on every use, so edits to the file apply without a restart.
+function loadUserRegistry() {
+    let registry = { users: {}, requests: {} };
+    try {
+        if (fs.existsSync(USERS_FILE)) {
+            registry = { ...registry, ...JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) };
+        }
+    } catch (e) {
+        log('ERROR', `Failed to load ${USERS_FILE}:`, e.message);
+        return registry;
+    }
+    return seedOwners(registry);
+}
+
+function saveUserRegistry(registry) {
+    try {
+        fs.writeFileSync(USERS_FILE, JSON.stringify(registry, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save users:', e.message);
+    }
+}
+
+// Without any owner (first start, or the file was removed) the chats in
+// TELEGRAM_ALLOWED_CHAT_IDS are added: those in ADMIN_CHAT_IDS as owners and
+// the rest as developers, or all as owners when ADMIN_CHAT_IDS is unset.
+function seedOwners(registry) {
+    if (Object.values(registry.users).some(user => ROLES[user.role]?.admin)) return registry;
+
+    const addedAt = new Date().toISOString();
+    let seeded = 0;
+    for (const id of ALLOWED_CHAT_IDS) {
+        // A group id no longer lets everyone in it in; members are added one by one
+        if (id.startsWith('-')) continue;
+        const role = ADMIN_CHAT_IDS.length === 0 || ADMIN_CHAT_IDS.includes(id) ? 'owner' : 'developer';
+        if (registry.users[id]?.role === role) continue;
+        registry.users[id] = { ...registry.users[id], role, addedAt, addedBy: 'TELEGRAM_ALLOWED_CHAT_IDS' };
+        delete registry.requests[id];
+        seeded++;
+    }
+    if (seeded > 0) {
+        log('INFO', `Added ${seeded} user(s) from TELEGRAM_ALLOWED_CHAT_IDS`);
+        saveUserRegistry(registry);
+    }
+    return registry;
+}
+
+// The user's role, or null for unknown users (and roles ROLES_FILE dropped)
+function getUserRole(userId) {
+    const user = loadUserRegistry().users[String(userId)];
+    if (!user) return null;
+    if (!ROLES[user.role]) log('WARN', `User ${userId} has unknown role ${user.role}`);
+    return ROLES[user.role] || null;
+}
+
+function isAdmin(userId) {
+    return Boolean(getUserRole(userId)?.admin);
+}
+
+function adminUserIds(registry = loadUserRegistry()) {
+    return Object.keys(registry.users).filter(id => ROLES[registry.users[id].role]?.admin);
+}
+
+function roleAllows(role, key, name) {
+    return role[key] === '*' || role[key].includes(name);
+}
+
+function roleDirectories(role) {
+    return role.directories || ALLOWED_DIRECTORIES;
+}
+
+function canUseDirectory(role, dir) {
+    return isPathAllowed(dir) && isPathAllowed(dir, roleDirectories(role));
+}
+
+// Why a role may not send this message, or null. Built-in commands are checked
+// against the role's commands; mode commands and plain prompts against its
+// modes. Arguments (agent counts, directories, ...) are left to each command.
+function messageAccessDenial(role, text, chatId) {
+    const command = text.match(/^\/(\w+)/)?.[1];
+    if (command && BOT_COMMANDS.some(([name]) => name === command)) {
+        const allowed = ADMIN_COMMANDS.includes(command) ? role.admin : roleAllows(role, 'commands', command);
+        return allowed ? null : `/${command} is not available to the ${role.name} role.`;
+    }
+    const mode = command && command !== 'default' && MODES[command] ? command : getChatState(chatId).mode;
+    if (role.modes.length === 0) return `The ${role.name} role cannot run prompts.`;
+    return roleAllows(role, 'modes', mode)
+        ? null
+        : `The ${mode} mode is not available to the ${role.name} role (allowed: ${role.modes.join(', ')}).`;
+}
+
+// The directory a job runs in (or ran in)
+function jobWorkingDir(job) {
+    return job.workingDir || job.resumeFrom?.workingDir || getMode(job.mode).workingDir ||
+        getChatState(job.chatId).workingDir;
+}
+
+// Checked again when a job starts, so queued jobs and schedules stop running
+// once their user is revoked or loses the mode, directory or agents.
+function jobAccessDenial(job) {
+    // Jobs queued before roles existed ran for the (private) chat's user
+    const userId = job.userId ?? job.chatId;
+    const role = getUserRole(userId);
+    if (!role) return `user ${userId} no longer has access`;
+    if (!roleAllows(role, 'modes', job.mode)) return `the ${job.mode} mode is not available to the ${role.name} role`;
+    const workingDir = jobWorkingDir(job);
+    if (!canUseDirectory(role, workingDir)) return `the ${role.name} role may not work in ${workingDir}`;
+    if (job.type === 'agents' && job.numAgents > role.maxAgents) {
+        return `the ${role.name} role may run at most ${role.maxAgents} agent(s)`;
+    }
+    return null;
+}
+
+function describeUser(id, user) {
+    const name = [user.name, user.username && `@${user.username}`].filter(Boolean).join(' ');
+    return `${name ? `${escapeHtml(name)} ` : ''}<code>${id}</code>`;
+}
+
+// A user id, or the @username of a known user or request
+function resolveUserRef(registry, ref) {
+    if (/^\d+$/.test(ref)) return ref;
+    const username = ref.replace(/^@/, '').toLowerCase();
+    const entries = [...Object.entries(registry.users), ...Object.entries(registry.requests)];
+    return entries.find(([, user]) => user.username?.toLowerCase() === username)?.[0] || null;
+}
+
+// Give a user a role (adding them if needed). Returns an error message when
+// that would leave the bridge without an owner.
+function setUserRole(userId, roleName, addedBy) {
+    const registry = loadUserRegistry();
+    const previous = registry.users[userId];
+    if (previous && ROLES[previous.role]?.admin && !ROLES[roleName].admin && adminUserIds(registry).length === 1) {
+        return 'That is the last owner. Make someone else an owner first.';
+    }
+    const request = registry.requests[userId] || {};
+    registry.users[userId] = {
+        name: request.name,
+        username: request.username,
+        addedAt: new Date().toISOString(),
+        addedBy,
+        ...previous,
+        role: roleName
+    };
+    delete registry.requests[userId];
+    saveUserRegistry(registry);
+    log('INFO', `User ${userId} is now ${roleName} (by ${addedBy})`);
+    return null;
+}
+
+function removeUser(userId) {
+    const registry = loadUserRegistry();
+    const user = registry.users[userId];
+    if (!user) return 'No such user.';
+    if (ROLES[user.role]?.admin && adminUserIds(registry).length === 1) {
+        return 'That is the last owner. Make someone else an owner first.';
+    }
+    delete registry.users[userId];
+    saveUserRegistry(registry);
+    log('INFO', `User ${userId} revoked`);
+    return null;
+}
+
+function accessRequestButtons(userId) {
+    const grants = Object.keys(ROLES)
+        .filter(name => !ROLES[name].admin)
+        .map(name => ({ text: `Allow as ${name}`, callback_data: `access:${userId}:${name}` }));
+    const rows = [];
+    for (let i = 0; i < grants.length; i += 3) rows.push(grants.slice(i, i + 3));
+    rows.push([{ text: 'Deny', callback_data: `access:${userId}:deny` }]);
+    return { inline_keyboard: rows };
+}
+
+// A message from someone who is not a user: the first one becomes an access
+// request the owners are asked about; later ones only get a reply.
+async function handleAccessRequest(message, text) {
+    const chatId = messageChatId(message);
+    const userId = String(message.from?.id ?? message.chat.id);
+    const registry = loadUserRegistry();
+    const request = registry.requests[userId];
+
+    if (request?.status === 'denied') {
+        await sendMessage(chatId, `Unauthorized. Your user ID: <code>${userId}</code>`);
+        return;
+    }
+    if (request) {
+        await sendMessage(chatId, `Your access request is waiting for an owner.\nYour user ID: <code>${userId}</code>`);
+        return;
+    }
+
+    registry.requests[userId] = {
+        name: [message.from?.first_name, message.from?.last_name].filter(Boolean).join(' ') || null,
+        username: message.from?.username || null,
+        chatId,
+        text: text.substring(0, 200),
+        requestedAt: new Date().toISOString(),
+        status: 'pending'
+    };
+    saveUserRegistry(registry);
+    log('WARN', `Access request from ${registry.requests[userId].username || userId} (${userId})`);
+
+    const owners = adminUserIds(registry);
+    if (owners.length === 0) log('WARN', 'No owner to approve access requests. Set TELEGRAM_ALLOWED_CHAT_IDS.');
+    for (const owner of owners) {
+        await sendMessage(owner,
+            `<b>Access request</b>\n${describeUser(userId, registry.requests[userId])}` +
+            (text ? `\n<i>${escapeHtml(text.substring(0, 200))}</i>` : ''),
+            { reply_markup: accessRequestButtons(userId) });
+    }
+    await sendMessage(chatId,
+        `You are not a user of this bridge yet, so an owner has been asked to let you in.\n` +
+        `Your user ID: <code>${userId}</code>`);
+}
+
+// An owner's answer to an access request (the buttons above)
+async function answerAccessRequest(userId, answer, owner) {
+    const registry = loadUserRegistry();
+    const request = registry.requests[userId];
+    if (!request || request.status !== 'pending') {
+        const user = registry.users[userId];
+        return user ? `Already has the ${user.role} role.` : 'This request was already answered.';
+    }
+    const by = owner.username || String(owner.id);
+    if (answer === 'deny') {
+        request.status = 'denied';
+        request.answeredBy = by;
+        saveUserRegistry(registry);
+        log('INFO', `Access request from ${userId} denied by ${by}`);
+        return `Denied access to ${describeUser(userId, request)}.`;
+    }
+    if (!ROLES[answer] || ROLES[answer].admin) return 'Unknown role.';
+    setUserRole(userId, answer, by);
+    await sendMessage(request.chatId || userId,
+        `You now have <b>${answer}</b> access. Send /start to see what you can do.`);
+    return `${describeUser(userId, request)} now has the <b>${answer}</b> role.`;
+}
+
+function formatUsers(registry) {
+    const users = Object.entries(registry.users)
+        .sort(([, a], [, b]) => Object.keys(ROLES).indexOf(a.role) - Object.keys(ROLES).indexOf(b.role))
+        .map(([id, user]) => `• ${describeUser(id, user)} · ${escapeHtml(user.role)}`);
+    const requests = Object.entries(registry.requests)
+        .filter(([, request]) => request.status === 'pending')
+        .map(([id, request]) => `• ${describeUser(id, request)} · ${formatSessionDate(request.requestedAt)}`);
+    const roles = Object.values(ROLES).map(role => `• <b>${role.name}</b> - ${escapeHtml(role.description)}`);
+    return `<b>Users</b> (${users.length})\n${users.join('\n')}\n\n` +
+        (requests.length ? `<b>Access requests</b>\n${requests.join('\n')}\n\n` : '') +
+        `<b>Roles</b>\n${roles.join('\n')}\n\n` +
+        `<i>/grant [user id|@username] [role], /revoke [user id|@username]</i>`;
+}
+
+// ============================================
+// MODES
+// ============================================
+
+// Each modes/*.json file defines one mode:
+//   command         - name used as /command and with /mode (a-z, 0-9, _)
+//   description     - shown in /start and the Telegram command menu
+//   label           - status header while the mode runs (default: command)
+//   systemPrompt    - string, or array of lines
+//   allowedTools    - tools run without asking (default: AUTO_APPROVED_TOOLS)
+//   model           - Claude model (default: the SDK's)
+//   workingDir      - directory the mode runs in (default: the chat's)
+//   timeoutMinutes  - per-run limit (default: TIMEOUT_MINUTES)
+//   includeContext  - resume the chat's session (default: true)
+//   policy          - tool policy, see TOOL POLICIES (default: none)
+// The "default" mode is used for plain messages and is not a command.
+const MODES_DIR = process.env.MODES_DIR ? path.resolve(process.env.MODES_DIR) : path.join(__dirname, 'modes');
+
+// Built-in commands, also published as the Telegram command menu.
+// Mode files cannot reuse these names.
+const BOT_COMMANDS = [
+    ['start', 'Help and list of modes'],
+    ['status', 'Bridge status'],
+    ['stop', 'Cancel the current run'],
+    ['agents', 'Split a task across N agents'],
+    ['cost', 'Token usage and costs'],
+    ['budget', 'Remaining budget'],
+    ['new', 'Start a fresh conversation'],
+    ['sessions', 'List past sessions'],
+    ['resume', 'Switch to a session'],
+    ['queue', 'List queued jobs'],
+    ['cancel', 'Cancel a queued or running job'],
+    ['changes', 'Files the last run changed'],
+    ['diff', 'Patch of the last run'],
+    ['undo', 'Roll back the last run'],
+    ['merge', "Apply one agent's changes"],
+    ['discard', "Drop the agents' changes"],
+    ['schedule', 'Schedule a prompt'],
+    ['schedules', 'List schedules'],
+    ['unschedule', 'Delete a schedule'],
+    ['cd', "Change this chat's directory"],
+    ['mode', 'Default mode for plain messages'],
+    ['long', 'How long answers are delivered'],
+    ['get', 'Download a file'],
+    ['logs', 'View logs'],
+    ['users', 'Users and access requests (owners)'],
+    ['grant', 'Add a user or change their role (owners)'],
+    ['revoke', 'Remove a user (owners)']
+];
+
+const FALLBACK_DEFAULT_MODE = {
+    command: 'default',
+    description: 'General assistant for plain messages',
+    label: 'Claude',
+    systemPrompt: 'Format responses cleanly for Telegram. Avoid markdown tables - use bullet points or plain text instead. Keep responses focused and well-structured.',
+    includeContext: true
+};
+
+// Validate one mode file; throws with the reason it was rejected
+function parseModeFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const command = String(config.command || '').toLowerCase();
+
+    if (!/^[a-z0-9_]{1,32}$/.test(command)) {
+        throw new Error(`invalid command "${config.command}"`);
+    }
+    if (BOT_COMMANDS.some(([name]) => name === command)) {
+        throw new Error(`/${command} is a built-in command`);
+    }
+    const systemPrompt = Array.isArray(config.systemPrompt) ? config.systemPrompt.join('\n') : config.systemPrompt;
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+        throw new Error('systemPrompt is required');
+    }
+    if (config.allowedTools !== undefined && !Array.isArray(config.allowedTools)) {
+        throw new Error('allowedTools must be an array of tool names');
+    }
+
+    let policy = null;
+    if (config.policy !== undefined) {
+        try {
+            policy = parsePolicy(config.policy);
+        } catch (error) {
+            throw new Error(`policy: ${error.message}`);
+        }
+    }
+
+    let workingDir = null;
+    if (config.workingDir) {
+        workingDir = path.resolve(config.workingDir);
+        if (!isPathAllowed(workingDir)) throw new Error(`workingDir ${workingDir} is not in ALLOWED_DIRECTORIES`);
+        if (!fs.existsSync(workingDir)) throw new Error(`workingDir ${workingDir} does not exist`);
+    }
+
+    return {
+        command,
+        description: String(config.description || `${command} mode`).substring(0, 256),
+        label: config.label || command,
+        systemPrompt,
+        allowedTools: config.allowedTools || null,
+        model: config.model || null,
+        workingDir,
+        timeoutMinutes: Number(config.timeoutMinutes) > 0 ? Number(config.timeoutMinutes) : null,
+        includeContext: config.includeContext !== false,
+        policy
+    };
+}
+
+// A broken file is logged and skipped so one typo doesn't take every mode down
+function loadModes() {
+    const modes = {};
+    let files = [];
+    try {
+        files = fs.readdirSync(MODES_DIR).filter(f => f.endsWith('.json')).sort();
+    } catch (e) {
+        log('WARN', `No modes directory at ${MODES_DIR}`);
+    }
+
+    for (const file of files) {
+        try {
+            const mode = parseModeFile(path.join(MODES_DIR, file));
+            if (modes[mode.command]) throw new Error(`/${mode.command} is already defined`);
+            modes[mode.command] = mode;
+        } catch (error) {
+            log('ERROR', `Skipping mode file ${file}: ${error.message}`);
+        }
+    }
+
+    if (!modes.default) modes.default = FALLBACK_DEFAULT_MODE;
+    return modes;
+}
+
+const MODES = loadModes();
+
+function getMode(name) {
+    return MODES[name] || MODES.default;
+}
+
+// Modes that can be invoked as /command
+function commandModes() {
+    return Object.values(MODES).filter(m => m.command !== 'default');
+}
+
+
+// ============================================
+// LIVE PROGRESS
+// ============================================
+
+// Status edits are throttled: Telegram allows roughly one edit per second per chat
+const PROGRESS_EDIT_INTERVAL_MS = 3000;
+// Refresh the elapsed time even when no SDK events arrive
+const PROGRESS_REFRESH_MS = 15000;
+
+function formatElapsed(ms) {
+    const s = Math.floor(ms / 1000);
+    return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+// What Claude is doing right now, e.g. "Editing src/app.ts" or "Running npm test"
+function describeToolActivity(name, input = {}, workingDir = WORKING_DIR) {
+    const short = value => String(value || '').substring(0, 60);
+    const file = () => short(displayPath(input.file_path || input.notebook_path || '', workingDir));
+    switch (name) {
+        case 'Read': return `Reading ${file()}`;
+        case 'Edit':
+        case 'MultiEdit':
+        case 'NotebookEdit': return `Editing ${file()}`;
+        case 'Write': return `Writing ${file()}`;
+        case 'Bash': return `Running ${short(input.command)}`;
+        case 'Grep': return `Searching for "${short(input.pattern)}"`;
+        case 'Glob': return `Finding files ${short(input.pattern)}`;
+        case 'WebFetch': return `Fetching ${short(input.url)}`;
+        case 'WebSearch': return `Searching the web for "${short(input.query)}"`;
+        case 'Task': return `Delegating: ${short(input.description)}`;
+        case 'TodoWrite': return 'Updating task list';
+        default: return `Using ${name}`;
+    }
+}
+
+function renderProgress(progress) {
+    let text = `${progress.label}\n\n<i>${formatElapsed(Date.now() - progress.startTime)}</i> · ${escapeHtml(progress.activity)}`;
+    if (progress.toolCount > 0) {
+        text += ` <i>(${progress.toolCount} tool calls)</i>`;
+    }
+    if (progress.partialText.trim()) {
+        const tail = progress.partialText.length > 800
+            ? '...' + progress.partialText.slice(-800)
+            : progress.partialText;
+        text += `\n\n${escapeHtml(tail.trim())}`;
+    }
+    return text;
+}
+
+async function startProgress(chatId, label, workingDir, replyTo = null) {
+    const progress = {
+        chatId,
+        label,
+        workingDir,
+        startTime: Date.now(),
+        activity: 'Starting...',
+        toolCount: 0,
+        partialText: '',
+        messageId: null,
+        lastRendered: '',
+        lastEdit: Date.now(),
+        dirty: false,
+        editing: false,
+        pending: null,
+        timer: null
+    };
+    progress.lastRendered = renderProgress(progress);
+    progress.messageId = await sendMessage(chatId, progress.lastRendered, { replyTo });
+    progress.timer = setInterval(() => flushProgress(progress), PROGRESS_EDIT_INTERVAL_MS);
+    return progress;
+}
+
+// Feed an SDK message into the status; the edit itself happens in flushProgress
+function updateProgress(progress, message) {
+    if (message.type === 'stream_event') {
+        const event = message.event;
+        if (event.type === 'content_block_start' && event.content_block?.type === 'text') {
+            progress.partialText = '';
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            progress.partialText += event.delta.text;
+            progress.dirty = true;
+        }
+    } else if (message.type === 'assistant') {
+        for (const block of message.message?.content || []) {
+            if (block.type === 'tool_use') {
+                progress.activity = describeToolActivity(block.name, block.input, progress.workingDir);
+                progress.toolCount++;
+                progress.dirty = true;
+            }
+        }
+    }
+}
+
+async function flushProgress(progress) {
+    if (!progress.messageId || progress.editing) return;
+    if (!progress.dirty && Date.now() - progress.lastEdit < PROGRESS_REFRESH_MS) return;
+
+    const text = renderProgress(progress);
+    progress.dirty = false;
+    if (text === progress.lastRendered) return;
+
+    progress.editing = true;
+    progress.pending = editMessage(progress.chatId, progress.messageId, text);
+    try {
+        await progress.pending;
+        progress.lastRendered = text;
+        progress.lastEdit = Date.now();
+    } finally {
+        progress.editing = false;
+    }
+}
+
+// Wait for an in-flight edit so it cannot overwrite the final response
+async function stopProgress(progress) {
+    clearInterval(progress.timer);
+    await progress.pending;
+}
+
+// ============================================
+// RUN TRACKING & CANCELLATION
+// ============================================
+
+// Active runs keyed by run id. Every agent in a run owns an AbortController,
+// so /stop can cancel one agent of an /agents run or the whole run.
+const activeRuns = new Map();
+let runCounter = 0;
+
+// The chat's working directory is captured at start; a /cd mid-run doesn't move it.
+// options: jobId, workingDir (overrides the chat's directory, e.g. for schedules),
+// mode and username (recorded with the run's costs)
+function startRun(chatId, type, numAgents = 1, options = {}) {
+    const { jobId = null, mode = 'default', username = null, userId = null } = options;
+    const workingDir = options.workingDir || getChatState(chatId).workingDir;
+    const run = {
+        id: ++runCounter,
+        chatId,
+        jobId,
+        userId,
+        type,
+        mode,
+        workingDir,
+        startTime: Date.now(),
+        agents: Array.from({ length: numAgents }, (_, i) => ({
+            index: i + 1,
+            runId: runCounter,
+            jobId,
+            chatId,
+            mode,
+            username,
+            userId,
+            workingDir,
+            controller: new AbortController(),
+            status: 'running',
+            tools: [],
+            text: '',
+            apiUsage: new Map(),
+            changedFiles: new Map(),
+            auditStarts: new Map(),
+            result: null
+        }))
+    };
+    activeRuns.set(run.id, run);
+    refreshRunState();
+    return run;
+}
+
+function finishRun(run) {
+    activeRuns.delete(run.id);
+    refreshRunState();
+}
+
+function refreshRunState() {
+    let running = 0;
+    for (const run of activeRuns.values()) {
+        running += run.agents.filter(a => a.status === 'running').length;
+    }
+    isProcessing = activeRuns.size > 0;
+    activeAgents = running;
+}
+
+// Abort an agent's query. reason is 'stopped' (user) or 'timeout'.
+function stopAgent(agent, reason = 'stopped') {
+    if (agent.status !== 'running') return false;
+    agent.status = reason;
+    agent.controller.abort();
+    refreshRunState();
+    return true;
+}
+
+function stopRun(run, reason = 'stopped') {
+    return run.agents.filter(agent => stopAgent(agent, reason)).length;
+}
+
+// Short human-readable label for a tool call, e.g. "Edit: src/app.ts"
+function describeToolUse(name, input = {}) {
+    const target = input.file_path || input.command || input.pattern || input.url || input.query || '';
+    return target ? `${name}: ${String(target).substring(0, 80)}` : name;
+}
+
+// Record tool calls and the latest assistant text so a stopped run can report what it did
+function trackAgentProgress(agent, message) {
+    if (message.type === 'result') {
+        agent.result = message;
+        return;
+    }
+    if (message.type !== 'assistant') return;
+    // Where a reply to this answer resumes the session (subagent messages
+    // belong to a side chain and cannot be resumed at)
+    if (message.uuid && !message.parent_tool_use_id) {
+        agent.lastMessageUuid = message.uuid;
+    }
+    // Usage repeats on every content block of one API message, so key by message id
+    if (message.message?.usage && message.message.id) {
+        agent.apiUsage.set(message.message.id, { model: message.message.model, usage: message.message.usage });
+    }
+    for (const block of message.message?.content || []) {
+        if (block.type === 'tool_use') {
+            agent.tools.push(describeToolUse(block.name, block.input));
+            if (FILE_WRITE_TOOLS.includes(block.name)) {
+                trackChangedFile(agent, block.input);
+            }
+        } else if (block.type === 'text' && block.text) {
+            agent.text = block.text;
+        }
+    }
+}
+
+function summarizePartialWork(agent) {
+    const lines = [];
+    if (agent.tools.length > 0) {
+        lines.push(`<b>Tool calls before stop (${agent.tools.length}):</b>`);
+        if (agent.tools.length > 10) {
+            lines.push(`• ...${agent.tools.length - 10} earlier`);
+        }
+        agent.tools.slice(-10).forEach(t => lines.push(`• ${escapeHtml(t)}`));
+    } else {
+        lines.push('No tool calls were made.');
+    }
+    if (agent.text) {
+        lines.push('', '<b>Partial output:</b>', formatForTelegram(agent.text.substring(0, 1500)));
+    }
+    return lines.join('\n');
+}
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+// Attachments are kept with the bridge's own files, not in the working
+// directory, so they never show up in the user's git status, checkpoints or
+// worktree commits. Agents get read access to their chat's inbox.
+const INBOX_DIR = process.env.INBOX_DIR || path.join(__dirname, '.telegram-inbox');
+// Telegram bots can download at most 20 MB per file
+const ATTACHMENT_MAX_MB = Math.min(parseFloat(process.env.ATTACHMENT_MAX_MB) || 10, 20);
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const ATTACHMENT_MIME_TYPES = (process.env.ATTACHMENT_MIME_TYPES ||
+    'image/jpeg,image/png,image/gif,image/webp,text/*,application/json,application/xml,' +
+    'application/x-yaml,application/yaml,application/javascript,application/x-sh,application/sql,application/pdf')
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean);
+// Telegram labels many source files application/octet-stream; treat these as text
+const TEXT_FILE_EXTENSIONS = [
+    '.txt', '.log', '.md', '.csv', '.tsv', '.json', '.yaml', '.yml', '.xml', '.html', '.css',
+    '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.py', '.go', '.rs', '.java', '.c', '.h', '.cpp',
+    '.cs', '.rb', '.php', '.sh', '.ps1', '.bat', '.sql', '.toml', '.ini', '.diff', '.patch'
+];
+
+function isMimeAllowed(mimeType) {
+    return ATTACHMENT_MIME_TYPES.some(allowed => allowed.endsWith('/*')
+        ? mimeType.startsWith(allowed.slice(0, -1))
+        : mimeType === allowed);
+}
+
+// The attachment on a message: the largest size of a photo, or a document
+function getAttachment(message) {
+    if (message.photo?.length) {
+        const photo = message.photo[message.photo.length - 1];
+        return {
+            fileId: photo.file_id,
+            fileName: `photo-${photo.file_unique_id}.jpg`,
+            mimeType: 'image/jpeg',
+            fileSize: photo.file_size || 0
+        };
+    }
+    if (message.document) {
+        const doc = message.document;
+        const fileName = doc.file_name || `document-${doc.file_unique_id}`;
+        let mimeType = (doc.mime_type || 'application/octet-stream').toLowerCase();
+        if (mimeType === 'application/octet-stream' && TEXT_FILE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+            mimeType = 'text/plain';
+        }
+        return { fileId: doc.file_id, fileName, mimeType, fileSize: doc.file_size || 0 };
+    }
+    return null;
+}
+
+function getInboxDir(chatId) {
+    // ':' is not allowed in Windows file names
+    return path.join(INBOX_DIR, String(chatId).replace(':', '-'));
+}
+
+// Download an attachment into the chat's inbox. Errors carry a user-facing message.
+async function downloadAttachment(chatId, attachment) {
+    const maxBytes = ATTACHMENT_MAX_MB * 1024 * 1024;
+    if (!isMimeAllowed(attachment.mimeType)) {
+        throw new Error(`File type ${attachment.mimeType} is not allowed`);
+    }
+    if (attachment.fileSize > maxBytes) {
+        throw new Error(`File is larger than the ${ATTACHMENT_MAX_MB} MB limit`);
+    }
+
+    const fileInfo = await axios.get(`${API_BASE}/getFile`, { params: { file_id: attachment.fileId } });
+    const remotePath = fileInfo.data.result?.file_path;
+    if (!remotePath) {
+        throw new Error('Telegram did not return a file path');
+    }
+
+    const response = await axios.get(`https://api.telegram.org/file/bot${BOT_TOKEN}/${remotePath}`, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes
+    });
+    const data = Buffer.from(response.data);
+
+    const inbox = getInboxDir(chatId);
+    fs.mkdirSync(inbox, { recursive: true });
+    const safeName = path.basename(attachment.fileName).replace(/[^\w.-]/g, '_');
+    const localPath = path.join(inbox, `${Date.now()}-${safeName}`);
+    fs.writeFileSync(localPath, data);
+
+    log('INFO', `Saved attachment ${safeName} (${attachment.mimeType}, ${data.length} bytes) to ${localPath}`);
+    return { ...attachment, localPath, data };
+}
+
+// Build the SDK prompt. Images become image content blocks; every attachment is
+// also listed by local path so Claude can read or reference it with its tools.
+function buildPrompt(text, attachments = []) {
+    if (attachments.length === 0) return text;
+
+    const listing = attachments.map(a => `- ${a.localPath} (${a.mimeType})`).join('\n');
+    const promptText = `${text}\n\nAttached files (saved locally):\n${listing}`;
+    const images = attachments.filter(a => IMAGE_MIME_TYPES.includes(a.mimeType));
+    if (images.length === 0) return promptText;
+
+    const content = [
+        ...images.map(img => ({
+            type: 'image',
+            source: { type: 'base64', media_type: img.mimeType, data: img.data.toString('base64') }
+        })),
+        { type: 'text', text: promptText }
+    ];
+    return (async function* () {
+        yield { type: 'user', message: { role: 'user', content }, parent_tool_use_id: null, session_id: '' };
+    })();
+}
+
+// ============================================
+// FILE DELIVERY
+// ============================================
+
+// Files a run creates are sent automatically up to this size. Larger files and
+// edits to existing files are offered with inline buttons instead.
+const AUTO_SEND_MAX_KB = parseInt(process.env.AUTO_SEND_MAX_KB) || 256;
+const FILE_WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+const MAX_OFFERED_FILES = 10;
+
+// Files offered for download, keyed by the id in the button's callback data
+const fileOffers = new Map();
+let fileOfferCounter = 0;
+
+// Path relative to the working directory when inside it
+function displayPath(filePath, workingDir = WORKING_DIR) {
+    if (!filePath) return '';
+    const relative = path.relative(workingDir, filePath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filePath;
+}
+
+// Called for each Write/Edit tool call. Whether the file is new is checked
+// when the call is seen, before the tool runs.
+function trackChangedFile(agent, input = {}) {
+    const target = input.file_path || input.notebook_path;
+    if (!target) return;
+    const filePath = path.resolve(agent.workingDir, target);
+    if (!agent.changedFiles.has(filePath)) {
+        agent.changedFiles.set(filePath, { created: !fs.existsSync(filePath) });
+    }
+}
+
+// Tracked files that still exist and were modified after the run started
+function getChangedFiles(agents, since) {
+    const files = new Map();
+    for (const agent of agents) {
+        for (const [filePath, info] of agent.changedFiles) {
+            try {
+                const stat = fs.statSync(filePath);
+                if (stat.isFile() && stat.mtimeMs >= since) {
+                    files.set(filePath, { ...info, size: stat.size });
+                }
+            } catch (e) {}
+        }
+    }
+    return files;
+}
+
+// Send a file under ALLOWED_DIRECTORIES as a Telegram document
+async function sendFileToChat(chatId, filePath) {
+    if (!isPathAllowed(filePath)) {
+        log('WARN', `Blocked file send: ${filePath}`);
+        await sendMessage(chatId, `Access denied: <code>${escapeHtml(filePath)}</code> is outside the allowed directories.`);
+        return false;
+    }
+
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (e) {
+        await sendMessage(chatId, `Not found: <code>${escapeHtml(filePath)}</code>`);
+        return false;
+    }
+    if (!stat.isFile()) {
+        await sendMessage(chatId, `Not a file: <code>${escapeHtml(filePath)}</code>`);
+        return false;
+    }
+    if (stat.size > MAX_UPLOAD_BYTES) {
+        await sendMessage(chatId, `File is too large for Telegram (${(stat.size / 1024 / 1024).toFixed(1)} MB, max 50 MB).`);
+        return false;
+    }
+
+    try {
+        await sendDocument(chatId, filePath, `<code>${escapeHtml(displayPath(filePath, getChatState(chatId).workingDir))}</code>`);
+        return true;
+    } catch (error) {
+        log('ERROR', `Failed to send ${filePath}:`, error.response?.data?.description || error.message);
+        await sendMessage(chatId, `Failed to send file: ${escapeHtml(error.message)}`);
+        return false;
+    }
+}
+
+function offerFile(filePath) {
+    const id = String(++fileOfferCounter);
+    fileOffers.set(id, filePath);
+    // Keep the map bounded; old buttons simply stop working
+    if (fileOffers.size > 500) {
+        fileOffers.delete(fileOffers.keys().next().value);
+    }
+    return id;
+}
+
+// After a run: send small new files, offer the rest as download buttons
+async function deliverChangedFiles(chatId, agents, since) {
+    const files = getChangedFiles(agents, since);
+    if (files.size === 0) return;
+
+    const offered = [];
+    for (const [filePath, info] of files) {
+        if (info.created && info.size <= AUTO_SEND_MAX_KB * 1024 && isPathAllowed(filePath)) {
+            if (await sendFileToChat(chatId, filePath)) continue;
+        }
+        offered.push(filePath);
+    }
+    if (offered.length === 0) return;
+
+    const workingDir = getChatState(chatId).workingDir;
+    const shown = offered.slice(0, MAX_OFFERED_FILES);
+    const buttons = shown.map(filePath => [{
+        text: path.basename(filePath).substring(0, 40),
+        callback_data: `file:${offerFile(filePath)}`
+    }]);
+    const more = offered.length > shown.length
+        ? `\n<i>...and ${offered.length - shown.length} more (use /get [path])</i>`
+        : '';
+
+    await sendMessage(chatId,
+        `<b>Files changed (${offered.length}):</b>\n` +
+        shown.map(f => `• <code>${escapeHtml(displayPath(f, workingDir))}</code>`).join('\n') + more +
+        `\n\n<i>Tap a file to download it</i>`,
+        { reply_markup: { inline_keyboard: buttons } });
+}
+
+// ============================================
+// TOOL PERMISSIONS
+// ============================================
+
+// Tools that run without asking. Anything else (Edit, Write, Bash, WebFetch, ...)
+// goes to the chat as an inline-keyboard approval request.
+const AUTO_APPROVED_TOOLS = (process.env.AUTO_APPROVED_TOOLS || 'Read,Glob,Grep,WebSearch')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+const PERMISSION_TIMEOUT_SECONDS = parseInt(process.env.PERMISSION_TIMEOUT_SECONDS) || 120;
+
+// Approval requests waiting for a button press, keyed by request id
+const pendingPermissions = new Map();
+let permissionCounter = 0;
+
+// "Always for this session" approvals: Claude session id -> Set of approval keys
+const sessionApprovals = new Map();
+
+// Bash approvals cover each exact command of a chain (e.g. "Bash(npm test)"),
+// and a chain only runs without asking when every part was approved; other
+// tools are approved as a whole
+function approvalKeys(toolName, input = {}) {
+    if (toolName === 'Bash') {
+        const parts = splitShellCommand(input.command);
+        return parts.length > 0 ? parts.map(part => `Bash(${part})`) : ['Bash()'];
+    }
+    return [toolName];
+}
+
+function migrateSessionApprovals(oldId, newId) {
+    if (!oldId || oldId === newId || !sessionApprovals.has(oldId)) return;
+    sessionApprovals.set(newId, sessionApprovals.get(oldId));
+    sessionApprovals.delete(oldId);
+}
+
+function describePermissionRequest(toolName, input = {}) {
+    const snippet = value => escapeHtml(String(value || '').substring(0, 500));
+    switch (toolName) {
+        case 'Bash':
+            return `<b>Run command:</b>\n<pre>${escapeHtml(String(input.command || '').substring(0, 1500))}</pre>` +
+                (input.description ? `\n<i>${escapeHtml(input.description)}</i>` : '');
+        case 'Edit':
+        case 'MultiEdit':
+            return `<b>Edit file:</b> <code>${escapeHtml(input.file_path || '')}</code>` +
+                (input.old_string !== undefined
+                    ? `\n<b>Replace:</b>\n<pre>${snippet(input.old_string)}</pre>\n<b>With:</b>\n<pre>${snippet(input.new_string)}</pre>`
+                    : '');
+        case 'Write':
+            return `<b>Write file:</b> <code>${escapeHtml(input.file_path || '')}</code> ` +
+                `(${String(input.content || '').length} chars)\n<pre>${snippet(input.content)}</pre>`;
+        case 'NotebookEdit':
+            return `<b>Edit notebook:</b> <code>${escapeHtml(input.notebook_path || '')}</code>`;
+        case 'WebFetch':
+            return `<b>Fetch URL:</b> ${escapeHtml(input.url || '')}`;
+        default:
+            return `<b>Use ${escapeHtml(toolName)}:</b>\n<pre>${escapeHtml(JSON.stringify(input, null, 2).substring(0, 1500))}</pre>`;
+    }
+}
+
+// Ask the chat to approve a tool call. Resolves to 'once', 'session', 'deny',
+// 'timeout' or 'cancelled' (the run was stopped while waiting). Only userId
+// (who started the run) or an owner may answer, which matters in groups.
+async function requestPermission(chatId, toolName, input, agentLabel, signal, userId = null) {
+    if (signal?.aborted) return 'cancelled';
+
+    const id = String(++permissionCounter);
+    const keys = approvalKeys(toolName, input).join(', ');
+    const body = `<b>Permission needed</b>${agentLabel ? ` (${agentLabel})` : ''}\n\n` +
+        describePermissionRequest(toolName, input);
+
+    const messageId = await sendMessage(chatId, `${body}\n\n<i>Auto-deny in ${PERMISSION_TIMEOUT_SECONDS}s</i>`, {
+        reply_markup: {
+            inline_keyboard: [[
+                { text: 'Allow once', callback_data: `perm:${id}:once` },
+                { text: 'Always for this session', callback_data: `perm:${id}:session` },
+                { text: 'Deny', callback_data: `perm:${id}:deny` }
+            ]]
+        }
+    });
+    if (!messageId) return 'deny';
+
+    const decision = await new Promise(resolve => {
+        const timer = setTimeout(() => finish('timeout'), PERMISSION_TIMEOUT_SECONDS * 1000);
+        const onAbort = () => finish('cancelled');
+        function finish(result) {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            pendingPermissions.delete(id);
+            resolve(result);
+        }
+        signal?.addEventListener('abort', onAbort);
+        pendingPermissions.set(id, { chatId, userId, resolve: finish });
+    });
+
+    const outcome = {
+        once: 'Allowed once',
+        session: `Always allowed for this session: ${escapeHtml(keys)}`,
+        deny: 'Denied',
+        timeout: 'Timed out - denied',
+        cancelled: 'Run stopped'
+    }[decision];
+    await editMessage(chatId, messageId, `${body}\n\n<b>${outcome}</b>`);
+    log('INFO', `Permission for ${keys} in chat ${chatId}: ${decision}`);
+    return decision;
+}
+
+// Build the SDK canUseTool callback for one agent
+function createPermissionHandler(chatId, agent, agentLabel = null) {
+    return async (toolName, input, { signal, toolUseID }) => {
+        const keys = approvalKeys(toolName, input);
+        if (keys.every(key => sessionApprovals.get(agent.sessionId)?.has(key))) {
+            return { behavior: 'allow', updatedInput: input };
+        }
+
+        const decision = await requestPermission(chatId, toolName, input, agentLabel, signal, agent.userId);
+        if (decision === 'once') {
+            return { behavior: 'allow', updatedInput: input };
+        }
+        if (decision === 'session') {
+            if (!sessionApprovals.has(agent.sessionId)) {
+                sessionApprovals.set(agent.sessionId, new Set());
+            }
+            keys.forEach(key => sessionApprovals.get(agent.sessionId).add(key));
+            // No updatedPermissions: the SDK's suggestions are saved to the
+            // directory's .claude/settings.local.json and would outlive the session
+            return { behavior: 'allow', updatedInput: input };
+        }
+        auditResult(agent, toolUseID, 'denied', { error: decision });
+        return {
+            behavior: 'deny',
+            message: decision === 'timeout'
+                ? 'Permission request timed out without an answer from the user.'
+                : 'The user denied this action.'
+        };
+    };
+}
+
+// Whether userId may press the buttons of, stop, cancel, undo or merge a run or
+// job started by ownerId
+function canAnswerFor(ownerId, userId) {
+    return ownerId === null || ownerId === undefined || String(ownerId) === String(userId) || isAdmin(userId);
+}
+
+// Handle inline keyboard button presses
+async function handleCallbackQuery(callbackQuery) {
+    const chatId = callbackQuery.message && messageChatId(callbackQuery.message);
+    const userId = callbackQuery.from?.id;
+    const data = callbackQuery.data || '';
+    const role = getUserRole(userId);
+
+    if (!role) {
+        log('WARN', `Unauthorized callback from ${userId} in ${chatId}`);
+        await answerCallbackQuery(callbackQuery.id, 'Unauthorized');
+        return;
+    }
+
+    const access = data.match(/^access:(\d+):([\w-]+)$/);
+    if (access) {
+        if (!isAdmin(userId)) {
+            await answerCallbackQuery(callbackQuery.id, 'Only owners can answer access requests.');
+            return;
+        }
+        await answerCallbackQuery(callbackQuery.id);
+        const outcome = await answerAccessRequest(access[1], access[2], callbackQuery.from);
+        await editMessage(chatId, callbackQuery.message.message_id, `<b>Access request</b>\n${outcome}`);
+        return;
+    }
+
+    const permission = data.match(/^perm:(\d+):(once|session|deny)$/);
+    const fileOffer = data.match(/^file:(\d+)$/);
+    const expand = data.match(/^expand:(\d+)$/);
+    const plan = data.match(/^plan:(\d+):(run|cancel)$/);
+    const agentResult = data.match(/^agentres:(\d+):(\d+)$/);
+    const worktreeAction = data.match(/^wt:(\d+):(merge|discard)(?::(\d+))?$/);
+    if (worktreeAction) {
+        const job = findWorktreeJob(chatId, parseInt(worktreeAction[1]));
+        if (!job) {
+            await answerCallbackQuery(callbackQuery.id, 'These changes were already merged or discarded.');
+            return;
+        }
+        if (!canAnswerFor(job.userId, userId)) {
+            await answerCallbackQuery(callbackQuery.id, 'Only whoever started this job can answer.');
+            return;
+        }
+        const denial = messageAccessDenial(role, `/${worktreeAction[2]}`, chatId);
+        if (denial) {
+            await answerCallbackQuery(callbackQuery.id, denial);
+            return;
+        }
+        await answerCallbackQuery(callbackQuery.id);
+        if (worktreeAction[2] === 'merge') {
+            await sendMessage(chatId, await mergeWorktree(job, parseInt(worktreeAction[3])));
+        } else {
+            await discardWorktrees(job);
+            await sendMessage(chatId, `Discarded the agents' changes from job ${job.id}.`);
+        }
+        return;
+    }
+    if (plan) {
+        const pending = pendingPlans.get(parseInt(plan[1]));
+        if (!pending || pending.chatId !== chatId) {
+            await answerCallbackQuery(callbackQuery.id, 'This plan is no longer pending.');
+            return;
+        }
+        if (!canAnswerFor(pending.userId, userId)) {
+            await answerCallbackQuery(callbackQuery.id, 'Only whoever started this job can answer.');
+            return;
+        }
+        pending.resolve(plan[2]);
+        await answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+    if (agentResult) {
+        const job = getJob(parseInt(agentResult[1]));
+        const available = job && String(job.chatId) === String(chatId) &&
+            job.agentResults?.some(r => r.index === parseInt(agentResult[2]));
+        if (available && (!roleAllows(role, 'modes', job.mode) || !canUseDirectory(role, jobWorkingDir(job)))) {
+            await answerCallbackQuery(callbackQuery.id, `The ${role.name} role cannot see this job's results.`);
+            return;
+        }
+        await answerCallbackQuery(callbackQuery.id, available ? 'Sending...' : 'This result is no longer available.');
+        if (available) await sendAgentResult(chatId, job, parseInt(agentResult[2]));
+        return;
+    }
+    if (expand) {
+        const answer = expandableAnswers.get(expand[1]);
+        const available = answer?.chatId === chatId;
+        if (available && answer.workingDir && !canUseDirectory(role, answer.workingDir)) {
+            await answerCallbackQuery(callbackQuery.id, `The ${role.name} role may not read answers from ${answer.workingDir}.`);
+            return;
+        }
+        await answerCallbackQuery(callbackQuery.id, available ? 'Sending...' : 'This answer has expired. Open the attached file.');
+        if (available) await expandLongAnswer(chatId, expand[1]);
+        return;
+    }
+    if (fileOffer) {
+        const filePath = fileOffers.get(fileOffer[1]);
+        if (filePath && (!roleAllows(role, 'commands', 'get') || !canUseDirectory(role, filePath))) {
+            await answerCallbackQuery(callbackQuery.id, `The ${role.name} role may not download ${path.basename(filePath)}.`);
+            return;
+        }
+        await answerCallbackQuery(callbackQuery.id, filePath ? 'Sending...' : 'This download has expired. Use /get.');
+        if (filePath) await sendFileToChat(chatId, filePath);
+        return;
+    }
+
+    if (permission) {
+        const pending = pendingPermissions.get(permission[1]);
+        if (!pending || pending.chatId !== chatId) {
+            await answerCallbackQuery(callbackQuery.id, 'This request is no longer pending.');
+            return;
+        }
+        if (!canAnswerFor(pending.userId, userId)) {
+            await answerCallbackQuery(callbackQuery.id, 'Only whoever started this run can answer.');
+            return;
+        }
+        pending.resolve(permission[2]);
+        await answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+
+    await answerCallbackQuery(callbackQuery.id);
+}
+
+// ============================================
+// CLAUDE SDK EXECUTION
+// ============================================
+
+// SDK options that come from a mode file
+function modeQueryOptions(modeConfig) {
+    const options = {
+        systemPrompt: modeConfig.systemPrompt,
+        allowedTools: modeConfig.allowedTools || AUTO_APPROVED_TOOLS
+    };
+    if (modeConfig.model) options.model = modeConfig.model;
+    return options;
+}
+
+// Stream a query for one agent, returning the final result text.
+// Aborting agent.controller makes the SDK iterator throw.
+// options may carry systemPrompt, resume (session id to continue) and canUseTool.
+async function streamQuery(prompt, agent, options = {}, onMessage) {
+    let result = '';
+    const inbox = getInboxDir(agent.chatId);
+    for await (const message of query({
+        prompt,
+        options: {
+            cwd: agent.workingDir,
+            ...(fs.existsSync(inbox) ? { additionalDirectories: [inbox] } : {}),
+            allowedTools: AUTO_APPROVED_TOOLS,
+            permissionMode: "default",
+            abortController: agent.controller,
+            ...options
+        }
+    })) {
+        if (message.session_id) {
+            agent.sessionId = message.session_id;
+        }
+        trackAgentProgress(agent, message);
+        if ("result" in message) {
+            result = message.result;
+        }
+        if (onMessage) onMessage(message);
+    }
+    if (agent.controller.signal.aborted) {
+        throw new Error('Query aborted');
+    }
+    return result;
+}
+
+// With includeContext the chat's active session is resumed (or a new one started).
+// Progress is shown in a status message that is replaced by the final response.
+// options: label (status header), attachments (downloaded files), jobId, workingDir,
+// username, model (overrides the mode's, e.g. when a budget downgrades the run),
+// systemPrompt (overrides the mode's, e.g. for the /agents synthesizer),
+// resumeFrom (an answer the user replied to: its session is forked at that answer
+// and, when it is in the chat's directory, becomes the active session).
+// Resolves to { response, runId, checkpoint }.
+async function runClaude(prompt, chatId, mode = 'default', includeContext = true, options = {}) {
+    const { label = null, attachments = [], jobId = null, username = null, userId = null, replyTo = null, resumeFrom = null } = options;
+    const modeConfig = getMode(mode);
+    log('INFO', `Running Claude (${mode}): "${prompt.substring(0, 80)}..."`);
+    updateHealth({ status: 'processing' });
+    const workingDir = options.workingDir || resumeFrom?.workingDir || modeConfig.workingDir;
+    const run = startRun(chatId, 'single', 1, { jobId, workingDir, mode, username, userId });
+    const agent = run.agents[0];
+
+    // Sessions are tied to a directory: a mode pinned elsewhere runs standalone
+    const useSession = includeContext && modeConfig.includeContext &&
+        run.workingDir === getChatState(chatId).workingDir;
+
+    const typingInterval = setInterval(() => sendTyping(chatId), 4000);
+    sendTyping(chatId);
+
+    const progress = await startProgress(chatId,
+        label || `${resumeFrom ? `Continuing run ${resumeFrom.runId}` : 'Processing'}: ` +
+            `${escapeHtml(prompt.substring(0, 40))}${prompt.length > 40 ? '...' : ''}`,
+        run.workingDir, replyTo);
+
+    // Abort (rather than just stop waiting) so a timed-out run stops editing files
+    const timeoutMinutes = modeConfig.timeoutMinutes || TIMEOUT_MINUTES;
+    const timeoutTimer = setTimeout(() => stopAgent(agent, 'timeout'), timeoutMinutes * 60 * 1000);
+    const budgetWatch = watchRunBudget(run);
+
+    const resumeId = resumeFrom ? resumeFrom.sessionId : useSession ? getActiveSessionId(chatId) : null;
+    let checkpoint = null;
+    let response;
+    let markdown = null;
+
+    try {
+        // Inside the try so the timers above are cleared even if this fails
+        checkpoint = startCheckpoint(run);
+        const queryOptions = {
+            ...modeQueryOptions(modeConfig),
+            includePartialMessages: true,
+            canUseTool: createPermissionHandler(chatId, agent),
+            hooks: combineHooks(
+                createAuditHooks(agent),
+                createPolicyHooks(chatId, mode, agent),
+                createCheckpointHooks(checkpoint, agent))
+        };
+        if (resumeId) queryOptions.resume = resumeId;
+        if (resumeFrom) {
+            // A new branch: the answered session stays as it was
+            queryOptions.resumeSessionAt = resumeFrom.messageUuid;
+            queryOptions.forkSession = true;
+        }
+        if (options.model) queryOptions.model = options.model;
+        if (options.systemPrompt) queryOptions.systemPrompt = options.systemPrompt;
+
+        const result = await withRetry(
+            // Build the prompt per attempt: an image prompt is a one-shot generator
+            () => streamQuery(buildPrompt(prompt, attachments), agent, queryOptions, message => updateProgress(progress, message)),
+            {
+                signal: agent.controller.signal,
+                // A failed attempt still used tokens: record them so the ledger
+                // and budgets see them, then count the next attempt from zero
+                onRetry: () => {
+                    log('INFO', `Failed attempt of run #${run.id}. ${formatUsageSummary(recordUsage(agent))}`);
+                    agent.apiUsage.clear();
+                    agent.result = null;
+                    agent.spendRecorded = false;
+                }
+            }
+        );
+
+        log('INFO', `Claude completed. ${formatUsageSummary(recordUsage(agent))}`);
+        markdown = result || '(No output)';
+        response = formatForTelegram(markdown);
+    } catch (error) {
+        const elapsed = Math.round((Date.now() - run.startTime) / 1000);
+        log('INFO', `Claude run #${run.id} ended early. ${formatUsageSummary(recordUsage(agent))}`);
+        if (agent.status === 'stopped') {
+            log('INFO', `Claude run #${run.id} stopped by user after ${elapsed}s`);
+            response = `<b>Stopped</b> after ${elapsed}s.\n\n${summarizePartialWork(agent)}`;
+        } else if (agent.status === 'timeout') {
+            log('ERROR', `Claude run #${run.id} timed out after ${timeoutMinutes} minutes`);
+            response = `Error: Query timed out after ${timeoutMinutes} minutes\n\n${summarizePartialWork(agent)}`;
+        } else if (agent.status === 'budget') {
+            log('WARN', `Claude run #${run.id} stopped at a budget cap after ${elapsed}s`);
+            response = `<b>Stopped: budget cap reached</b> after ${elapsed}s.\n\n${summarizePartialWork(agent)}`;
+        } else {
+            log('ERROR', `Claude error: ${error.message}`);
+            response = resumeFrom
+                ? `Error: ${error.message}\n\n<i>The conversation of that answer may no longer be available.</i>`
+                : resumeId
+                    ? `Error: ${error.message}\n\n<i>Use /new to start a fresh session.</i>`
+                    : `Error: ${error.message}`;
+        }
+    } finally {
+        // Keep stopped runs in the session too, so the next message can pick up from there
+        if (useSession && agent.sessionId) {
+            // A fork is a session of its own, next to the one it branched from
+            recordSessionTurn(chatId, resumeFrom ? null : resumeId, agent.sessionId, prompt, mode, run.workingDir);
+        }
+        clearTimeout(timeoutTimer);
+        clearInterval(budgetWatch);
+        clearInterval(typingInterval);
+        await stopProgress(progress);
+        await finishCheckpoint(checkpoint);
+        finishRun(run);
+        updateHealth({ status: isProcessing ? 'processing' : 'idle' });
+    }
+
+    const sentIds = [];
+    await deliverResponse(chatId, response, progress.messageId, { markdown, sentIds, workingDir: run.workingDir });
+    if (agent.sessionId && agent.lastMessageUuid) {
+        recordAnswerMessages(chatId, sentIds, {
+            runId: run.id,
+            sessionId: agent.sessionId,
+            messageUuid: agent.lastMessageUuid,
+            workingDir: run.workingDir,
+            mode
+        });
+    }
+    await deliverChangedFiles(chatId, run.agents, run.startTime);
+    return { response, runId: run.id, checkpoint };
+}
+
+// ============================================
+// GIT WORKTREES
+// ============================================
+
+// When /agents runs in a git repository, each agent gets its own worktree on
+// its own branch (nexus/job-<job>-agent-<n>), branched from HEAD, so parallel
+// edits cannot clobber each other. Afterwards each agent's work is committed
+// on its branch and summarised; /merge brings one agent's changes into the
+// working directory and /discard drops them all. Either way the worktrees and
+// branches are removed. The state lives on the job (job.worktrees).
+const WORKTREES_DIR = process.env.WORKTREES_DIR || path.join(__dirname, '.worktrees');
+const MAX_LISTED_DIFF_FILES = 10;
+
+// Resolves with git's trimmed output. A failure rejects with stderr as the
+// message and the exit code and output attached.
+function git(cwd, args, env = process.env) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, env, maxBuffer: 10 * 1024 * 1024, timeout: 60000, windowsHide: true }, (error, stdout, stderr) => {
+            if (!error) return resolve(stdout.trim());
+            const failure = new Error((stderr || error.message).trim());
+            failure.code = error.code;
+            failure.stdout = stdout;
+            reject(failure);
+        });
+    });
+}
+
+// Top-level directory of the repository containing dir, or null
+async function gitRepoRoot(dir) {
+    try {
+        return path.resolve(await git(dir, ['rev-parse', '--show-toplevel']));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Commits use the repository's identity, or the bridge's when none is configured
+async function gitIdentityArgs(cwd) {
+    try {
+        await git(cwd, ['config', 'user.email']);
+        return [];
+    } catch (e) {
+        return ['-c', 'user.name=NEXUS', '-c', 'user.email=nexus@localhost'];
+    }
+}
+
+// One worktree per agent. Returns null when workingDir is not in a repository
+// with at least one commit; throws if git fails part-way (after cleaning up).
+async function createWorktrees(workingDir, jobId, count) {
+    const root = await gitRepoRoot(workingDir);
+    if (!root) return null;
+    let base;
+    try {
+        base = await git(root, ['rev-parse', 'HEAD']);
+    } catch (e) {
+        return null;
+    }
+
+    const worktrees = {
+        root,
+        base,
+        // Uncommitted changes are not part of HEAD, so the agents don't see them
+        dirty: (await git(root, ['status', '--porcelain'])).length > 0,
+        agents: []
+    };
+    const subdir = path.relative(root, path.resolve(workingDir));
+    try {
+        for (let i = 1; i <= count; i++) {
+            const branch = `nexus/job-${jobId}-agent-${i}`;
+            const dir = path.join(WORKTREES_DIR, `job-${jobId}-agent-${i}`);
+            await git(root, ['worktree', 'add', '-q', '-b', branch, dir, base]);
+            worktrees.agents.push({ index: i, branch, path: dir, workingDir: path.join(dir, subdir) });
+        }
+    } catch (error) {
+        await removeWorktrees(worktrees);
+        throw error;
+    }
+    log('INFO', `Created ${count} worktrees for job #${jobId} in ${root}`);
+    return worktrees;
+}
+
+// Commit what each agent left in its worktree and record a diff summary
+async function commitWorktrees(worktrees, titles) {
+    const identity = await gitIdentityArgs(worktrees.root);
+    for (const agent of worktrees.agents) {
+        try {
+            await git(agent.path, ['add', '-A']);
+            agent.summary = await git(agent.path, ['diff', '--cached', '--shortstat']);
+            agent.changed = agent.summary.length > 0;
+            if (!agent.changed) continue;
+            await git(agent.path, [...identity, 'commit', '-q', '--no-verify', '-m', `Agent ${agent.index}: ${titles[agent.index - 1]}`]);
+            agent.files = (await git(agent.path, ['diff', '--name-status', worktrees.base, 'HEAD'])).split('\n').filter(Boolean);
+        } catch (error) {
+            log('ERROR', `Could not commit the work of agent ${agent.index} (${agent.branch}):`, error.message);
+            agent.error = error.message;
+        }
+    }
+}
+
+async function removeWorktrees(worktrees) {
+    for (const agent of worktrees.agents) {
+        await git(worktrees.root, ['worktree', 'remove', '--force', agent.path])
+            .catch(e => log('WARN', `Could not remove worktree ${agent.path}:`, e.message));
+        await git(worktrees.root, ['branch', '-D', agent.branch])
+            .catch(e => log('WARN', `Could not delete branch ${agent.branch}:`, e.message));
+    }
+    await git(worktrees.root, ['worktree', 'prune']).catch(() => {});
+}
+
+function formatWorktreeSummary(job) {
+    const { worktrees } = job;
+    const lines = worktrees.agents.map(agent => {
+        const title = job.subtasks?.[agent.index - 1]?.title;
+        const header = `<b>Agent ${agent.index}</b>${title ? ` · ${escapeHtml(title)}` : ''}`;
+        if (agent.error) return `${header}: could not be committed (${escapeHtml(agent.error.substring(0, 200))})`;
+        if (!agent.changed) return `${header}: no changes`;
+
+        const files = agent.files.slice(0, MAX_LISTED_DIFF_FILES).map(f => {
+            const [status, ...names] = f.split('\t');
+            return `  ${status[0]} <code>${escapeHtml(names[names.length - 1])}</code>`;
+        });
+        if (agent.files.length > MAX_LISTED_DIFF_FILES) {
+            files.push(`  ...${agent.files.length - MAX_LISTED_DIFF_FILES} more`);
+        }
+        return `${header}: ${escapeHtml(agent.summary)}\n${files.join('\n')}`;
+    });
+    return `<b>Changes</b> (each agent on its own branch, from ${worktrees.base.substring(0, 8)})\n\n` +
+        lines.join('\n\n') +
+        (worktrees.dirty ? '\n\n<i>Uncommitted changes in the directory were not visible to the agents.</i>' : '') +
+        `\n\n<i>/merge N to apply agent N's changes, /discard to drop them all</i>`;
+}
+
+function worktreeButtons(job) {
+    const merges = job.worktrees.agents
+        .filter(agent => agent.changed && !agent.error)
+        .map(agent => ({ text: `Merge agent ${agent.index}`, callback_data: `wt:${job.id}:merge:${agent.index}` }));
+    const rows = [];
+    for (let i = 0; i < merges.length; i += 3) rows.push(merges.slice(i, i + 3));
+    rows.push([{ text: 'Discard all', callback_data: `wt:${job.id}:discard` }]);
+    return { inline_keyboard: rows };
+}
+
+// The chat's most recent job whose worktrees are still waiting for /merge or /discard
+function findWorktreeJob(chatId, jobId = null) {
+    return jobs
+        .filter(j => String(j.chatId) === String(chatId) && j.worktrees && (!jobId || j.id === jobId))
+        .pop() || null;
+}
+
+// Squash-merge one agent's branch into the working directory, leaving the
+// result staged for the user to review and commit, then remove the worktrees.
+// Refused while the index has staged changes, which the squash would mix with
+// the agent's. On conflicts the half-done merge is rolled back with
+// git reset --merge, git's message is returned and the worktrees are kept.
+async function mergeWorktree(job, index) {
+    const { worktrees } = job;
+    const agent = worktrees.agents.find(a => a.index === index);
+    if (!agent || !agent.changed || agent.error) {
+        return `Agent ${index} has no changes to merge.`;
+    }
+    try {
+        await git(worktrees.root, ['diff', '--cached', '--quiet']);
+    } catch (error) {
+        if (error.code !== 1) throw error;
+        return `<b>Not merged:</b> <code>${escapeHtml(worktrees.root)}</code> has staged changes. ` +
+            'Commit or unstage them, then /merge again.';
+    }
+    try {
+        await git(worktrees.root, [...await gitIdentityArgs(worktrees.root), 'merge', '--squash', agent.branch]);
+    } catch (error) {
+        log('WARN', `Merge of ${agent.branch} failed:`, error.message);
+        // git merge reports conflicts on stdout, and refusals on stderr
+        const details = /CONFLICT/.test(error.stdout || '') ? error.stdout.trim() : error.message;
+        // A merge git refused to start (e.g. local changes it would overwrite)
+        // changed nothing, and resetting would throw the user's work away
+        if (!(await mergeStarted(worktrees.root))) {
+            return `<b>Merge failed</b>\n<pre>${escapeHtml(details.substring(0, 1500))}</pre>\n\n` +
+                `<i>Nothing was changed in ${escapeHtml(worktrees.root)}. Try again once that is sorted out, or /discard.</i>`;
+        }
+        let rollback;
+        try {
+            await git(worktrees.root, ['reset', '--merge']);
+            fs.rmSync(path.resolve(worktrees.root, await git(worktrees.root, ['rev-parse', '--git-path', 'SQUASH_MSG'])), { force: true });
+            rollback = `Rolled back with <code>git reset --merge</code>; ${escapeHtml(worktrees.root)} is as it was. ` +
+                'Try another agent, or /discard.';
+        } catch (resetError) {
+            log('ERROR', `git reset --merge in ${worktrees.root} failed:`, resetError.message);
+            rollback = `Rolling back with <code>git reset --merge</code> failed too (${escapeHtml(resetError.message.substring(0, 300))}). ` +
+                `Clean up ${escapeHtml(worktrees.root)} by hand, then /discard.`;
+        }
+        return `<b>Merge failed</b>\n<pre>${escapeHtml(details.substring(0, 1500))}</pre>\n\n<i>${rollback}</i>`;
+    }
+    await removeWorktrees(worktrees);
+    delete job.worktrees;
+    saveJobs();
+    log('INFO', `Merged ${agent.branch} into ${worktrees.root}`);
+    return `Merged agent ${index}'s changes into <code>${escapeHtml(worktrees.root)}</code> ` +
+        `(${escapeHtml(agent.summary)}).\n<i>They are staged, not committed. The other agents' work was discarded.</i>`;
+}
+
+// Whether a failed merge got as far as changing the index: conflict entries,
+// or the message file git writes for the commit that would follow
+async function mergeStarted(root) {
+    if (await git(root, ['ls-files', '--unmerged'])) return true;
+    for (const file of ['SQUASH_MSG', 'MERGE_MSG']) {
+        if (fs.existsSync(path.resolve(root, await git(root, ['rev-parse', '--git-path', file])))) return true;
+    }
+    return false;
+}
+
+async function discardWorktrees(job) {
+    await removeWorktrees(job.worktrees);
+    delete job.worktrees;
+    saveJobs();
+    log('INFO', `Discarded the worktrees of job #${job.id}`);
+}
+
+// ============================================
+// CHECKPOINTS
+// ============================================
+
+// Every run that works in a shared directory is checkpointed so /undo can roll
+// back what it did to the filesystem: the targets of Write/Edit calls are
+// copied to CHECKPOINTS_DIR before their first change. Only those files are
+// covered, which is all /undo restores: changes made through Bash, by the user
+// or by another run at the same time are left alone. Files git ignores (build
+// output, dependencies) and files over CHECKPOINT_MAX_FILE_MB are not backed
+// up; they are listed as skipped.
+// Checkpoints are listed in CHECKPOINTS_FILE, newest last.
+const CHECKPOINTS_FILE = path.join(__dirname, '.checkpoints.json');
+const CHECKPOINTS_DIR = path.join(__dirname, '.checkpoints');
+const MAX_CHECKPOINTS = 50;
+const CHECKPOINT_MAX_FILE_MB = parseFloat(process.env.CHECKPOINT_MAX_FILE_MB) || 5;
+const MAX_INLINE_DIFF_CHARS = 3500;
+
+let checkpoints = loadCheckpoints();
+// Run ids are referenced by /undo and the message history, so keep them unique across restarts
+runCounter = checkpoints.reduce((max, c) => Math.max(max, c.runId), runCounter);
+dropLegacyCheckpoints();
+
+function loadCheckpoints() {
+    try {
+        if (fs.existsSync(CHECKPOINTS_FILE)) {
+            return JSON.parse(fs.readFileSync(CHECKPOINTS_FILE, 'utf8'));
+        }
+    } catch (e) {}
+    return [];
+}
+
+function saveCheckpoints() {
+    try {
+        fs.writeFileSync(CHECKPOINTS_FILE, JSON.stringify(checkpoints, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save checkpoints:', e.message);
+    }
+}
+
+// Earlier versions snapshotted whole git working trees under
+// refs/nexus/checkpoints/, which kept every untracked file alive. Those
+// checkpoints are dropped, refs included, rather than carried along.
+function dropLegacyCheckpoints() {
+    const legacy = checkpoints.filter(c => c.kind === 'git');
+    if (legacy.length === 0) return;
+    checkpoints = checkpoints.filter(c => c.kind !== 'git');
+    saveCheckpoints();
+    log('INFO', `Dropping ${legacy.length} whole-tree git checkpoint(s)`);
+    for (const checkpoint of legacy) {
+        for (const which of ['before', 'after']) {
+            git(checkpoint.root, ['update-ref', '-d', `refs/nexus/checkpoints/run-${checkpoint.runId}-${which}`]).catch(() => {});
+        }
+    }
+}
+
+function hashFile(filePath) {
+    try {
+        return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whether the repository at cwd ignores filePath (false outside a repository)
+async function isGitIgnored(cwd, filePath) {
+    try {
+        await git(cwd, ['check-ignore', '-q', filePath]);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Called before a run's agents start
+function startCheckpoint(run) {
+    return {
+        runId: run.id,
+        chatId: run.chatId,
+        jobId: run.jobId,
+        userId: run.userId,
+        workingDir: run.workingDir,
+        createdAt: new Date().toISOString(),
+        files: [],
+        // Paths Write/Edit changed without a backup (ignored or too large)
+        skipped: [],
+        backupDir: path.join(CHECKPOINTS_DIR, `run-${run.id}`)
+    };
+}
+
+// PreToolUse hook that backs up a file before the run first changes it
+function createCheckpointHooks(checkpoint, agent) {
+    if (!checkpoint) return undefined;
+
+    const backup = async (hookInput) => {
+        if (!FILE_WRITE_TOOLS.includes(hookInput.tool_name)) return {};
+        const target = hookInput.tool_input?.file_path || hookInput.tool_input?.notebook_path;
+        if (!target) return {};
+        const filePath = path.resolve(agent.workingDir, target);
+        if (checkpoint.files.some(f => f.path === filePath) || checkpoint.skipped.includes(filePath)) return {};
+
+        const exists = fs.existsSync(filePath);
+        if ((exists && fs.statSync(filePath).size > CHECKPOINT_MAX_FILE_MB * 1024 * 1024) ||
+            await isGitIgnored(agent.workingDir, filePath)) {
+            checkpoint.skipped.push(filePath);
+            return {};
+        }
+
+        const entry = { path: filePath, backup: null };
+        if (exists) {
+            entry.backup = path.join(checkpoint.backupDir, String(checkpoint.files.length));
+            fs.mkdirSync(checkpoint.backupDir, { recursive: true });
+            fs.copyFileSync(filePath, entry.backup);
+        }
+        checkpoint.files.push(entry);
+        return {};
+    };
+    return { PreToolUse: [{ hooks: [backup] }] };
+}
+
+// Hook sets for one query, merged per event
+function combineHooks(...sets) {
+    const combined = {};
+    for (const set of sets.filter(Boolean)) {
+        for (const [event, matchers] of Object.entries(set)) {
+            combined[event] = [...(combined[event] || []), ...matchers];
+        }
+    }
+    return Object.keys(combined).length > 0 ? combined : undefined;
+}
+
+// Called when the run has finished: record what changed and keep the checkpoint
+async function finishCheckpoint(checkpoint) {
+    if (!checkpoint) return;
+    try {
+        // Files the run touched but left as they were are not changes
+        checkpoint.files = checkpoint.files.filter(f => hashFile(f.path) !== (f.backup ? hashFile(f.backup) : null));
+        checkpoint.files.forEach(f => {
+            f.status = !f.backup ? 'A' : fs.existsSync(f.path) ? 'M' : 'D';
+            f.hash = hashFile(f.path);
+        });
+        if (checkpoint.files.length === 0) fs.rmSync(checkpoint.backupDir, { recursive: true, force: true });
+    } catch (error) {
+        log('ERROR', `Could not finish the checkpoint of run #${checkpoint.runId}:`, error.message);
+        checkpoint.error = error.message;
+    }
+
+    checkpoints.push(checkpoint);
+    while (checkpoints.length > MAX_CHECKPOINTS) {
+        dropCheckpoint(checkpoints.shift());
+    }
+    saveCheckpoints();
+}
+
+function dropCheckpoint(checkpoint) {
+    fs.rmSync(checkpoint.backupDir, { recursive: true, force: true });
+}
+
+// The chat's checkpoint for runId, or its latest one that changed something
+function findCheckpoint(chatId, runId = null) {
+    return checkpoints
+        .filter(c => String(c.chatId) === String(chatId) && (runId ? c.runId === runId : c.files.length > 0))
+        .pop() || null;
+}
+
+function checkpointDisplayPath(checkpoint, file) {
+    return displayPath(file.path, checkpoint.workingDir);
+}
+
+function formatCheckpointChanges(checkpoint) {
+    const header = `<b>Run ${checkpoint.runId}</b> · ${formatScheduleTime(checkpoint.createdAt)}` +
+        (checkpoint.undone ? ' · <i>undone</i>' : '');
+    const skipped = checkpoint.skipped?.length
+        ? `\n\nNot backed up (ignored by git or too large), so /undo leaves them alone:\n` +
+            checkpoint.skipped.slice(0, 10).map(p => `  <code>${escapeHtml(displayPath(p, checkpoint.workingDir))}</code>`).join('\n')
+        : '';
+    if (checkpoint.files.length === 0) return `${header}\nNo files changed.${skipped}`;
+
+    const shown = checkpoint.files.slice(0, 30).map(f =>
+        `  ${f.status} <code>${escapeHtml(checkpointDisplayPath(checkpoint, f))}</code>`);
+    if (checkpoint.files.length > 30) shown.push(`  ...${checkpoint.files.length - 30} more`);
+    return `${header}\n${checkpoint.files.length} file(s) changed:\n${shown.join('\n')}${skipped}\n\n` +
+        `<i>/diff ${checkpoint.runId} to see the patch, /undo ${checkpoint.runId} to restore</i>`;
+}
+
+// Unified diff of what the run changed
+async function checkpointDiff(checkpoint) {
+    // Lay out before/ and after/ copies and let git diff the two directories
+    const scratch = path.join(CHECKPOINTS_DIR, `diff-${checkpoint.runId}-${Date.now()}`);
+    try {
+        for (const which of ['before', 'after']) fs.mkdirSync(path.join(scratch, which), { recursive: true });
+        checkpoint.files.forEach(f => {
+            const relative = checkpointDisplayPath(checkpoint, f).replace(/^([a-zA-Z]:)?[\\/]+/, '').replace(/\.\.[\\/]/g, '');
+            const copy = (source, which) => {
+                if (!source || !fs.existsSync(source)) return;
+                const target = path.join(scratch, which, relative);
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.copyFileSync(source, target);
+            };
+            copy(f.backup, 'before');
+            copy(f.path, 'after');
+        });
+        try {
+            return await git(scratch, ['diff', '--no-index', 'before', 'after']);
+        } catch (error) {
+            // git diff --no-index exits with 1 when there are differences
+            if (error.code !== 1) throw error;
+            return error.stdout.trim()
+                .replace(/^diff --git a\/(?:before|after)\/(.*) b\/(?:before|after)\//gm, 'diff --git a/$1 b/')
+                .replace(/^(---|\+\+\+) ([ab])\/(before|after)\//gm, '$1 $2/');
+        }
+    } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+    }
+}
+
+// Restore the files a run changed. Files modified again since the run are only
+// overwritten with force. Returns a message for the chat.
+async function undoCheckpoint(checkpoint, force = false) {
+    if (checkpoint.undone) return `Run ${checkpoint.runId} was already undone.`;
+    if (checkpoint.files.length === 0) return `Run ${checkpoint.runId} changed no files.`;
+
+    const { files } = checkpoint;
+    const changedSince = files.filter(f => hashFile(f.path) !== f.hash).map(f => checkpointDisplayPath(checkpoint, f));
+    if (changedSince.length > 0 && !force) {
+        return `<b>Not undone:</b> these files changed again after run ${checkpoint.runId}:\n` +
+            changedSince.slice(0, 20).map(f => `  <code>${escapeHtml(f)}</code>`).join('\n') +
+            `\n\n<i>/undo ${checkpoint.runId} force to overwrite them anyway</i>`;
+    }
+
+    files.forEach(f => {
+        if (f.backup) {
+            fs.mkdirSync(path.dirname(f.path), { recursive: true });
+            fs.copyFileSync(f.backup, f.path);
+        } else {
+            fs.rmSync(f.path, { force: true });
+        }
+    });
+
+    checkpoint.undone = new Date().toISOString();
+    saveCheckpoints();
+    log('INFO', `Undid run #${checkpoint.runId} (${files.length} files)`);
+    return `Restored ${files.length} file(s) to how they were before run ${checkpoint.runId}.`;
+}
+
+// ============================================
+// PARALLEL AGENTS
+// ============================================
+
+// /agents N runs as a pipeline: a planner splits the task into N concrete
+// subtasks, the plan is shown (with /agents approve on it waits for a Run
+// button), one worker per subtask runs in parallel, and a synthesizer merges
+// the workers' results into a single answer. Each worker's own result is kept
+// on the job and can be opened from the buttons under the answer.
+const PLAN_TIMEOUT_MINUTES = 5;
+const PLAN_APPROVAL_MINUTES = 10;
+const PLANNER_TOOLS = ['Read', 'Glob', 'Grep', 'LS'];
+// Per worker, both in the synthesizer's prompt and in the stored result
+const AGENT_RESULT_MAX_CHARS = 20000;
+
+const PLANNER_PROMPT = [
+    'You plan work for a team of parallel agents.',
+    'Split the task into the requested number of subtasks that do not overlap and together cover the task.',
+    'Each subtask must make sense on its own: a worker sees the overall task, its own subtask and the titles of the others.',
+    'You may look at the working directory to plan, but do not start the work.',
+    'Answer with only a JSON array, one object per subtask: [{"title": "short title", "task": "what to do and what to report"}]'
+].join('\n');
+
+const SYNTHESIZER_PROMPT = [
+    'You merge the results of parallel agents into one answer to the original task.',
+    'Combine what they found, remove repetition, resolve or point out contradictions, and keep concrete details such as file names, numbers and sources.',
+    'Do not mention the agents or the subtasks unless it helps the reader; answer the task directly.'
+].join('\n');
+
+// Plans waiting for the Run button, keyed by job id
+const pendingPlans = new Map();
+
+// The first balanced [...] in text that parses as a non-empty JSON array of
+// strings or objects, or null. Brackets inside strings are skipped, so prose such as "[1] see below"
+// before the array does not get in the way.
+function extractJsonArray(text) {
+    for (let start = text.indexOf('['); start !== -1; start = text.indexOf('[', start + 1)) {
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']' && --depth === 0) {
+                try {
+                    const value = JSON.parse(text.slice(start, i + 1));
+                    const isSubtask = item => typeof item === 'string' || (item && typeof item === 'object');
+                    if (Array.isArray(value) && value.length > 0 && value.every(isSubtask)) return value;
+                } catch (e) {}
+                break;
+            }
+        }
+    }
+    return null;
+}
+
+// Subtasks from the planner's answer, at most `count`
+function parsePlan(text, count) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const items = (fenced && extractJsonArray(fenced[1])) || extractJsonArray(text);
+    if (!items) throw new Error('The planner did not return a list of subtasks');
+
+    const subtasks = items
+        .map(item => typeof item === 'string'
+            ? { title: item.substring(0, 60), task: item }
+            : { title: String(item.title || '').trim(), task: String(item.task || item.description || '').trim() })
+        .filter(subtask => subtask.task)
+        .map(subtask => ({ ...subtask, title: subtask.title || subtask.task.substring(0, 60) }));
+    if (subtasks.length === 0) throw new Error('The planner returned no subtasks');
+    return subtasks.slice(0, count);
+}
+
+async function planSubtasks(prompt, count, chatId, mode, attachments, options) {
+    const modeConfig = getMode(mode);
+    const run = startRun(chatId, 'plan', 1, { workingDir: modeConfig.workingDir, mode, ...options });
+    const agent = run.agents[0];
+    const timeoutTimer = setTimeout(() => stopAgent(agent, 'timeout'), PLAN_TIMEOUT_MINUTES * 60 * 1000);
+    const budgetWatch = watchRunBudget(run);
+
+    try {
+        const result = await streamQuery(buildPrompt(`Task: ${prompt}\n\nSplit it into ${count} subtasks.`, attachments), agent, {
+            systemPrompt: PLANNER_PROMPT,
+            allowedTools: PLANNER_TOOLS,
+            // The planner only looks around; anything else is left to the workers
+            canUseTool: async (toolName, input, { toolUseID }) => {
+                auditResult(agent, toolUseID, 'denied', { error: 'planner' });
+                return { behavior: 'deny', message: 'Planning only: do not change anything.' };
+            },
+            hooks: combineHooks(createAuditHooks(agent), createPolicyHooks(chatId, mode, agent, 'Planner')),
+            model: options.model || modeConfig.model
+        });
+        return parsePlan(result, count);
+    } catch (error) {
+        if (agent.status === 'timeout') throw new Error(`Planning timed out after ${PLAN_TIMEOUT_MINUTES} minutes`);
+        if (agent.status === 'budget') throw new Error('Planning stopped: budget cap reached');
+        throw error;
+    } finally {
+        log('INFO', `Planner of run #${run.id}. ${formatUsageSummary(recordUsage(agent))}`);
+        clearTimeout(timeoutTimer);
+        clearInterval(budgetWatch);
+        finishRun(run);
+    }
+}
 
-        // Create timeout promise
-        const timeoutMs = TIMEOUT_MINUTES * 60 * 1000;
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`Query timed out after ${TIMEOUT_MINUTES} minutes`)), timeoutMs)
-        );
+function formatPlan(subtasks) {
+    return subtasks.map((subtask, i) =>
+        `<b>${i + 1}. ${escapeHtml(subtask.title)}</b>\n${escapeHtml(subtask.task.substring(0, 300))}`
+    ).join('\n\n');
+}
 
-        // Wrap the query in retry logic
-        const queryPromise = withRetry(async () => {
-            let result = '';
-            for await (const message of query({
-                prompt: fullPrompt,
-                options: {
-                    cwd: WORKING_DIR,
-                    allowedTools: ["Read", "Edit", "Bash", "Write", "Glob", "Grep", "WebFetch", "WebSearch"],
-                    permissionMode: "default",
-                }
-            })) {
-                if ("result" in message) {
-                    result = message.result;
+// Show the plan. Without plan approval in this chat it resolves to 'run'
+// straight away. Otherwise the job gives up its queue slot while the plan
+// waits for its buttons: it resolves to 'awaiting' (or 'cancel' when the plan
+// could not be shown), and Run puts the job back in the queue with its
+// subtasks (job.planApproved), while Cancel or the timeout cancel the job.
+async function confirmPlan(job, subtasks) {
+    const header = `<b>Plan for ${subtasks.length} agents</b> · job ${job.id}\n\n${formatPlan(subtasks)}`;
+    if (!getChatState(job.chatId).approvePlans) {
+        await sendMessage(job.chatId, header, { replyTo: job.replyTo });
+        return 'run';
+    }
+
+    const messageId = await sendMessage(job.chatId, `${header}\n\n<i>Cancelled in ${PLAN_APPROVAL_MINUTES} min without an answer</i>`, {
+        replyTo: job.replyTo,
+        reply_markup: {
+            inline_keyboard: [[
+                { text: `Run ${subtasks.length} agents`, callback_data: `plan:${job.id}:run` },
+                { text: 'Cancel', callback_data: `plan:${job.id}:cancel` }
+            ]]
+        }
+    });
+    if (!messageId) return 'cancel';
+
+    job.status = 'awaiting';
+    job.subtasks = subtasks;
+    const timer = setTimeout(() => finish('timeout'), PLAN_APPROVAL_MINUTES * 60 * 1000);
+    async function finish(decision) {
+        clearTimeout(timer);
+        pendingPlans.delete(job.id);
+        if (decision === 'run') {
+            job.status = 'pending';
+            job.planApproved = true;
+        } else {
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+        }
+        saveJobs();
+        updateHealth();
+        const outcome = { run: 'Queued to run', cancel: 'Cancelled', timeout: 'Timed out - cancelled' }[decision];
+        await editMessage(job.chatId, messageId, `${header}\n\n<b>${outcome}</b>`);
+        scheduleJobs();
+    }
+    pendingPlans.set(job.id, {
+        chatId: job.chatId,
+        userId: job.userId,
+        resolve: decision => finish(decision).catch(e => log('ERROR', `Plan of job #${job.id}:`, e.message))
+    });
+    return 'awaiting';
+}
+
+// Give up on a plan still waiting for approval (/stop, /cancel)
+function cancelPendingPlan(jobId) {
+    const pending = pendingPlans.get(jobId);
+    if (!pending) return false;
+    pending.resolve('cancel');
+    return true;
+}
+
+function workerPrompt(prompt, subtasks, index, ownCopy = false) {
+    const others = subtasks
+        .map((subtask, i) => i === index ? null : `- ${subtask.title}`)
+        .filter(Boolean);
+    return `Overall task: ${prompt}\n\n` +
+        `You are agent ${index + 1} of ${subtasks.length}. Your subtask: ${subtasks[index].title}\n${subtasks[index].task}\n\n` +
+        (others.length ? `Other agents handle:\n${others.join('\n')}\n\nStay within your subtask and do not repeat their work. ` : '') +
+        (ownCopy ? 'Your current directory is your own copy of the repository: make all file changes there, using relative paths. ' : '') +
+        'Report your findings concisely.';
+}
+
+// Live checklist of the workers, edited as each one finishes
+function formatWorkerStatus(subtasks, agents) {
+    const icon = { running: '⏳', done: '✅' };
+    return `<b>Agents working</b>\n\n` + subtasks.map((subtask, i) =>
+        `${icon[agents[i].status] || '❌'} ${i + 1}. ${escapeHtml(subtask.title)}`
+    ).join('\n') + `\n\n<i>/stop N to stop one agent</i>`;
+}
+
+// Run one worker per prompt. Resolves to { run, results, checkpoint } with one
+// result per agent: { index, title, status, text } where text is Markdown.
+// options.agentDirs gives each agent its own working directory (worktrees).
+async function runParallelAgents(prompts, chatId, mode = 'default', attachments = [], options = {}) {
+    const numAgents = prompts.length;
+    const titles = options.titles || prompts.map((_, i) => `Agent ${i + 1}`);
+    log('INFO', `Running ${numAgents} parallel agents`);
+    updateHealth({ status: `processing (${numAgents} agents)` });
+    const modeConfig = getMode(mode);
+    const run = startRun(chatId, 'agents', numAgents, {
+        workingDir: modeConfig.workingDir, mode,
+        jobId: options.jobId, username: options.username, userId: options.userId
+    });
+    if (options.agentDirs) {
+        run.agents.forEach((agent, i) => { agent.workingDir = options.agentDirs[i]; });
+    }
+    const typingInterval = setInterval(() => sendTyping(chatId), 3000);
+    sendTyping(chatId);
+
+    const timeoutMinutes = modeConfig.timeoutMinutes || TIMEOUT_MINUTES;
+    const timeoutTimer = setTimeout(() => stopRun(run, 'timeout'), timeoutMinutes * 60 * 1000);
+    const budgetWatch = watchRunBudget(run);
+
+    const statusSubtasks = titles.map(title => ({ title }));
+    const statusMessageId = await sendMessage(chatId, formatWorkerStatus(statusSubtasks, run.agents));
+    const refreshStatus = () => statusMessageId &&
+        editMessage(chatId, statusMessageId, formatWorkerStatus(statusSubtasks, run.agents));
+
+    let checkpoint = null;
+    try {
+        // Agents in worktrees change nothing in the directory itself
+        if (!options.agentDirs) checkpoint = startCheckpoint(run);
+        const results = await Promise.all(prompts.map(async (prompt, index) => {
+            const agent = run.agents[index];
+            const result = { index: agent.index, title: titles[index] };
+
+            try {
+                const text = await streamQuery(buildPrompt(prompt, attachments), agent, {
+                    ...modeQueryOptions(modeConfig),
+                    canUseTool: createPermissionHandler(chatId, agent, `Agent ${agent.index}`),
+                    hooks: combineHooks(
+                        createAuditHooks(agent),
+                        createPolicyHooks(chatId, mode, agent, `Agent ${agent.index}`),
+                        createCheckpointHooks(checkpoint, agent)),
+                    ...(options.model ? { model: options.model } : {})
+                });
+                agent.status = 'done';
+                result.text = text || '(No output)';
+            } catch (error) {
+                if (agent.status === 'stopped' || agent.status === 'timeout' || agent.status === 'budget') {
+                    const label = {
+                        timeout: `Timed out after ${timeoutMinutes} min`,
+                        budget: 'Stopped: budget cap reached'
+                    }[agent.status] || 'Stopped';
+                    result.text = `${label}\n\n${stripHtml(summarizePartialWork(agent))}`;
+                } else {
+                    agent.status = 'failed';
+                    result.text = `Error - ${error.message}`;
                 }
-                sendTyping(chatId);
+            } finally {
+                log('INFO', `Agent ${agent.index} of run #${run.id}. ${formatUsageSummary(recordUsage(agent))}`);
+                refreshRunState();
+                refreshStatus();
             }
+            result.status = agent.status;
+            result.text = result.text.substring(0, AGENT_RESULT_MAX_CHARS);
             return result;
+        }));
+
+        log('INFO', `${numAgents} agents completed`);
+        return { run, results, checkpoint };
+    } finally {
+        clearTimeout(timeoutTimer);
+        clearInterval(budgetWatch);
+        clearInterval(typingInterval);
+        await finishCheckpoint(checkpoint);
+        finishRun(run);
+        updateHealth({ status: isProcessing ? 'processing' : 'idle' });
+    }
+}
+
+// All workers' results one after another, for when there is nothing to synthesize
+function formatAgentResults(results) {
+    let html = `<b>Parallel Agents Results (${results.length} agents)</b>\n\n`;
+    let markdown = `# Parallel Agents Results (${results.length} agents)\n\n`;
+    for (const r of results) {
+        html += `<b>Agent ${r.index}: ${escapeHtml(r.title)}</b>\n${formatForTelegram(r.text)}\n\n`;
+        markdown += `## Agent ${r.index}: ${r.title}\n\n${r.text}\n\n`;
+    }
+    return { html, markdown };
+}
+
+function synthesizerPrompt(prompt, results, separateBranches = false) {
+    return `Original task: ${prompt}\n\n` +
+        (separateBranches
+            ? 'Each agent changed files in its own copy of the repository; the user will pick one to merge, so compare their approaches.\n\n'
+            : '') +
+        results.map(r =>
+        `=== Agent ${r.index}: ${r.title} (${r.status}) ===\n${r.text}`
+    ).join('\n\n');
+}
+
+// Buttons that open each worker's own result (see sendAgentResult)
+function agentResultButtons(job) {
+    const buttons = job.agentResults.map(r => ({ text: `Agent ${r.index}`, callback_data: `agentres:${job.id}:${r.index}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) rows.push(buttons.slice(i, i + 5));
+    return { inline_keyboard: rows };
+}
+
+async function sendAgentResult(chatId, job, index) {
+    const result = job.agentResults.find(r => r.index === index);
+    const html = `<b>Agent ${result.index}: ${escapeHtml(result.title)}</b> · job ${job.id}\n\n${formatForTelegram(result.text)}`;
+    await deliverResponse(chatId, html, null, {
+        markdown: `# Agent ${result.index}: ${result.title}\n\n${result.text}`,
+        workingDir: jobWorkingDir(job)
+    });
+}
+
+// The whole /agents pipeline for one job: plan, confirm, work, synthesize
+async function runAgentsPipeline(job, attachments, runOptions) {
+    const { chatId } = job;
+    const startTime = Date.now();
+
+    let subtasks;
+    if (job.numAgents === 1) {
+        subtasks = [{ title: job.prompt.substring(0, 60), task: job.prompt }];
+    } else if (job.planApproved) {
+        subtasks = job.subtasks;
+    } else {
+        await sendMessage(chatId, `<b>Planning ${job.numAgents} agents...</b>\n${escapeHtml(job.prompt.substring(0, 100))}`);
+        try {
+            subtasks = await planSubtasks(job.prompt, job.numAgents, chatId, job.mode, attachments, runOptions);
+        } catch (error) {
+            log('ERROR', `Planning for job #${job.id} failed: ${error.message}`);
+            await sendMessage(chatId, `<b>Planning failed:</b> ${escapeHtml(error.message)}`);
+            return;
+        }
+        if (job.stopRequested) return;
+
+        const decision = await confirmPlan(job, subtasks);
+        if (decision === 'awaiting') return;
+        if (decision !== 'run') {
+            job.stopRequested = true;
+            return;
+        }
+    }
+
+    // Agents that share a git repository each get a worktree of their own
+    let worktrees = null;
+    if (subtasks.length > 1) {
+        const workingDir = getMode(job.mode).workingDir || getChatState(chatId).workingDir;
+        try {
+            worktrees = await createWorktrees(workingDir, job.id, subtasks.length);
+        } catch (error) {
+            log('ERROR', `Could not create worktrees for job #${job.id}:`, error.message);
+            await sendMessage(chatId, `<i>Could not create git worktrees (${escapeHtml(error.message.substring(0, 200))}); ` +
+                'the agents share the directory.</i>');
+        }
+    }
+
+    const prompts = subtasks.map((_, i) => workerPrompt(job.prompt, subtasks, i, Boolean(worktrees)));
+    const { run, results } = await runParallelAgents(prompts, chatId, job.mode, attachments, {
+        ...runOptions,
+        titles: subtasks.map(s => s.title),
+        agentDirs: worktrees?.agents.map(a => a.workingDir)
+    });
+    job.subtasks = subtasks;
+    job.agentResults = results;
+    if (worktrees) {
+        await commitWorktrees(worktrees, job.subtasks.map(s => s.title));
+        if (worktrees.agents.some(a => a.changed || a.error)) {
+            job.worktrees = worktrees;
+        } else {
+            await removeWorktrees(worktrees);
+        }
+    }
+    saveJobs();
+    stats.messagesProcessed += results.length;
+
+    // Nothing to merge: show what there is
+    const succeeded = results.filter(r => r.status === 'done');
+    if (succeeded.length < 2 || job.stopRequested) {
+        const { html, markdown } = formatAgentResults(results);
+        await deliverResponse(chatId, html, null, { markdown, workingDir: jobWorkingDir(job) });
+    } else {
+        await runClaude(synthesizerPrompt(job.prompt, results, Boolean(job.worktrees)), chatId, job.mode, false, {
+            ...runOptions,
+            label: `<b>Synthesizing ${succeeded.length} results...</b>`,
+            systemPrompt: SYNTHESIZER_PROMPT
         });
+        await sendMessage(chatId,
+            `<i>Merged from ${results.length} agents in ${Math.round((Date.now() - startTime) / 1000)}s. Each agent's own result:</i>`,
+            { reply_markup: agentResultButtons(job) });
+    }
+
+    if (job.worktrees) {
+        await sendMessage(chatId, formatWorktreeSummary(job), { reply_markup: worktreeButtons(job) });
+    } else if (!worktrees) {
+        await deliverChangedFiles(chatId, run.agents, run.startTime);
+    }
+}
+
+// ============================================
+// COST LEDGER & BUDGETS
+// ============================================
+
+// Every agent's cost is appended to COSTS_FILE (see cost-ledger.js), so spending
+// survives restarts.
+// Budgets in BUDGETS_FILE cap daily and monthly spend overall, per chat and per
+// mode (dates are the bridge's local time):
+//   { "global": { "daily": 20, "monthly": 300 },
+//     "chats": { "123456789": { "daily": 5 }, "*": { "monthly": 50 } },
+//     "modes": { "dev": { "daily": 10 } },
+//     "action": "refuse" | "downgrade", "downgradeModel": "claude-haiku-4-5" }
+// "*" applies to every chat without its own entry.
+const BUDGETS_FILE = process.env.BUDGETS_FILE
+    ? path.resolve(process.env.BUDGETS_FILE)
+    : path.join(__dirname, 'budgets.json');
+const BUDGET_ALERT_THRESHOLDS = [0.5, 0.8, 1];
+const BUDGET_CHECK_INTERVAL_MS = 10000;
+const DEFAULT_DOWNGRADE_MODEL = 'claude-haiku-4-5';
+
+function loadBudgets() {
+    const budgets = { global: {}, chats: {}, modes: {}, action: 'refuse', downgradeModel: DEFAULT_DOWNGRADE_MODEL };
+    if (!fs.existsSync(BUDGETS_FILE)) return budgets;
+    try {
+        const config = JSON.parse(fs.readFileSync(BUDGETS_FILE, 'utf8'));
+        const limits = value => {
+            const result = {};
+            for (const period of ['daily', 'monthly']) {
+                if (Number(value?.[period]) > 0) result[period] = Number(value[period]);
+            }
+            return result;
+        };
+        budgets.global = limits(config.global);
+        for (const [chatId, value] of Object.entries(config.chats || {})) budgets.chats[chatId] = limits(value);
+        for (const [mode, value] of Object.entries(config.modes || {})) budgets.modes[mode] = limits(value);
+        if (config.action === 'downgrade') budgets.action = 'downgrade';
+        if (config.downgradeModel) budgets.downgradeModel = config.downgradeModel;
+    } catch (e) {
+        log('ERROR', `Failed to load ${BUDGETS_FILE}:`, e.message);
+    }
+    return budgets;
+}
+
+const BUDGETS = loadBudgets();
+
+// Alerts already sent and admin overrides, so a restart doesn't repeat or drop them
+function loadBudgetState() {
+    try {
+        if (fs.existsSync(BUDGET_STATE_FILE)) {
+            return { alerts: {}, overrides: {}, ...JSON.parse(fs.readFileSync(BUDGET_STATE_FILE, 'utf8')) };
+        }
+    } catch (e) {}
+    return { alerts: {}, overrides: {} };
+}
+
+function saveBudgetState() {
+    try {
+        fs.writeFileSync(BUDGET_STATE_FILE, JSON.stringify(budgetState, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save budget state:', e.message);
+    }
+}
+
+let budgetState = loadBudgetState();
+
+const localDay = costLedger.localDay;
+
+function localMonth(date = new Date()) {
+    return localDay(date).substring(0, 7);
+}
+
+// Spend so far in the current day and month, keyed by "global", "chat:<id>"
+// and "mode:<name>"
+let spend = loadSpend();
+
+function spendKeys(entry) {
+    return ['global', `chat:${entry.chatId}`, `mode:${entry.mode}`];
+}
+
+function addSpend(totals, entry) {
+    const date = new Date(entry.timestamp);
+    for (const key of spendKeys(entry)) {
+        if (localMonth(date) === totals.month) totals.monthly[key] = (totals.monthly[key] || 0) + entry.cost;
+        if (localDay(date) === totals.day) totals.daily[key] = (totals.daily[key] || 0) + entry.cost;
+    }
+}
+
+function loadSpend() {
+    const totals = { day: localDay(), month: localMonth(), daily: {}, monthly: {} };
+    try {
+        costLedger.readEntries(COSTS_FILE, { from: costLedger.periodStart('month') })
+            .forEach(entry => addSpend(totals, entry));
+    } catch (e) {}
+    return totals;
+}
+
+// Start new totals when the day or month rolls over
+function rollSpendPeriods() {
+    if (spend.month !== localMonth()) {
+        spend = { day: localDay(), month: localMonth(), daily: {}, monthly: {} };
+    } else if (spend.day !== localDay()) {
+        spend.day = localDay();
+        spend.daily = {};
+    }
+}
+
+// Called from recordUsage once per agent
+function recordSpend(agent, summary, modelUsage) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        runId: agent.runId,
+        jobId: agent.jobId,
+        agent: agent.index,
+        chatId: telegramChatId(agent.chatId),
+        topicId: topicOf(agent.chatId),
+        username: agent.username,
+        mode: agent.mode,
+        cost: summary.cost,
+        estimated: !summary.reported,
+        inputTokens: summary.inputTokens,
+        outputTokens: summary.outputTokens,
+        cacheReadTokens: summary.cacheReadTokens,
+        cacheWriteTokens: summary.cacheWriteTokens,
+        models: Object.fromEntries(Object.entries(modelUsage).map(([model, u]) => [model, {
+            inputTokens: u.inputTokens || 0,
+            outputTokens: u.outputTokens || 0,
+            cacheReadTokens: u.cacheReadInputTokens || 0,
+            cacheWriteTokens: u.cacheCreationInputTokens || 0,
+            cost: u.costUSD || 0
+        }]))
+    };
+    agent.spendRecorded = true;
+
+    try {
+        costLedger.appendEntry(COSTS_FILE, entry);
+    } catch (e) {
+        log('ERROR', 'Failed to write cost ledger:', e.message);
+    }
+    rollSpendPeriods();
+    addSpend(spend, entry);
+    sendBudgetAlerts(agent.chatId, entry.mode).catch(e => log('ERROR', 'Budget alert error:', e.message));
+}
+
+// Budgets that apply to a run in this chat and mode, with spend so far.
+// extra is in-flight cost not yet in the ledger. Topics count towards their group.
+function getBudgetStatus(chatId, mode, extra = 0) {
+    rollSpendPeriods();
+    chatId = telegramChatId(chatId);
+    const chatLimits = BUDGETS.chats[chatId] || BUDGETS.chats['*'];
+    const scopes = [
+        { key: 'global', label: 'Global', limits: BUDGETS.global },
+        { key: `chat:${chatId}`, label: 'This chat', limits: chatLimits },
+        { key: `mode:${mode}`, label: `Mode ${mode}`, limits: BUDGETS.modes[mode] }
+    ];
+
+    const status = [];
+    for (const { key, label, limits } of scopes) {
+        for (const period of ['daily', 'monthly']) {
+            const limit = limits?.[period];
+            if (!limit) continue;
+            const spent = (spend[period][key] || 0) + extra;
+            status.push({
+                key, label, period, limit, spent,
+                remaining: Math.max(0, limit - spent),
+                fraction: spent / limit,
+                periodId: period === 'daily' ? spend.day : spend.month
+            });
+        }
+    }
+    return status;
+}
+
+function describeBudget(b) {
+    return `${b.label} ${b.period} budget: $${b.spent.toFixed(2)} of $${b.limit.toFixed(2)}`;
+}
+
+function getBudgetOverride(chatId) {
+    const now = Date.now();
+    let changed = false;
+    for (const [key, expiresAt] of Object.entries(budgetState.overrides)) {
+        if (expiresAt <= now) {
+            delete budgetState.overrides[key];
+            changed = true;
+        }
+    }
+    if (changed) saveBudgetState();
+    return budgetState.overrides[String(telegramChatId(chatId))] || budgetState.overrides.all || null;
+}
+
+// Decide whether a new run may start: { refuse, model, reason }
+function checkBudgetBeforeRun(chatId, mode) {
+    const exceeded = getBudgetStatus(chatId, mode).filter(b => b.fraction >= 1);
+    if (exceeded.length === 0 || getBudgetOverride(chatId)) return {};
+
+    const reason = `${describeBudget(exceeded[0])} reached`;
+    log('WARN', `Budget cap for chat ${chatId} (${mode}): ${reason}`);
+    if (BUDGETS.action === 'downgrade') return { model: BUDGETS.downgradeModel, reason };
+    return { refuse: true, reason: `${reason}. An owner can run /budget override.` };
+}
+
+// Stop a run whose in-flight cost pushes a budget past its cap. Downgraded
+// runs are allowed to finish on the cheaper model.
+function watchRunBudget(run) {
+    return setInterval(() => {
+        if (BUDGETS.action !== 'refuse' || getBudgetOverride(run.chatId)) return;
+
+        const inFlight = run.agents
+            .filter(a => !a.spendRecorded)
+            .reduce((sum, a) => sum + Object.values(usageFromApiMessages(a)).reduce((s, u) => s + u.costUSD, 0), 0);
+        const exceeded = getBudgetStatus(run.chatId, run.mode, inFlight).find(b => b.fraction >= 1);
+        if (exceeded && stopRun(run, 'budget') > 0) {
+            log('WARN', `Run #${run.id} stopped: ${describeBudget(exceeded)}`);
+        }
+    }, BUDGET_CHECK_INTERVAL_MS);
+}
+
+// Warn once per budget, period and threshold. Chat budgets alert the chat;
+// global and mode budgets also alert the owners.
+async function sendBudgetAlerts(chatId, mode) {
+    for (const budget of getBudgetStatus(chatId, mode)) {
+        const threshold = [...BUDGET_ALERT_THRESHOLDS].reverse().find(t => budget.fraction >= t);
+        const alertKey = `${budget.key}:${budget.period}:${budget.periodId}`;
+        if (!threshold || (budgetState.alerts[alertKey] || 0) >= threshold) continue;
+
+        budgetState.alerts[alertKey] = threshold;
+        saveBudgetState();
+
+        const text = `<b>Budget ${threshold >= 1 ? 'reached' : 'warning'}: ${Math.round(threshold * 100)}%</b>\n` +
+            `${escapeHtml(describeBudget(budget))}` +
+            (threshold >= 1
+                ? `\n\nNew runs will be ${BUDGETS.action === 'downgrade' ? `downgraded to ${escapeHtml(BUDGETS.downgradeModel)}` : 'refused'}.`
+                : '');
+        const recipients = new Set([String(chatId)]);
+        if (!budget.key.startsWith('chat:')) {
+            adminUserIds().forEach(id => recipients.add(id));
+        }
+        log('WARN', `Budget alert (${Math.round(threshold * 100)}%): ${describeBudget(budget)}`);
+        for (const recipient of recipients) {
+            await sendMessage(recipient, text);
+        }
+    }
+}
+
+// /cost report from ledger entries. Without a grouping it shows totals plus
+// the split by model and by mode.
+function formatCostReport(entries, period, groupBy, allChats) {
+    const k = n => (n / 1000).toFixed(1);
+    const title = `<b>Costs: ${period === 'all' ? 'all time' : period === 'today' ? 'today' : `this ${period}`}</b>` +
+        `${allChats ? '' : ' (this chat)'}`;
+    if (entries.length === 0) return `${title}\n\nNo runs recorded.`;
+
+    const lines = (group, limit = 15) => {
+        const { groups } = costLedger.aggregate(entries, group);
+        const shown = groups.slice(0, limit).map(g =>
+            `• ${escapeHtml(g.key)}: $${g.cost.toFixed(4)} · ${g.runs} run(s) · ${k(g.inputTokens)}K in / ${k(g.outputTokens)}K out`);
+        if (groups.length > limit) shown.push(`<i>…and ${groups.length - limit} more</i>`);
+        return shown.join('\n');
+    };
+
+    const { total } = costLedger.aggregate(entries);
+    const estimated = entries.filter(e => e.estimated).length;
+    let report = `${title}\n\n` +
+        `<b>Total:</b> $${total.cost.toFixed(4)} over ${total.runs} run(s)\n` +
+        `<b>Tokens:</b> ${k(total.inputTokens)}K in / ${k(total.outputTokens)}K out / ` +
+        `cache ${k(total.cacheReadTokens)}K r ${k(total.cacheWriteTokens)}K w\n`;
+
+    if (groupBy) {
+        report += `\n<b>By ${groupBy}:</b>\n${lines(groupBy, groupBy === 'day' ? 31 : 15)}`;
+    } else {
+        report += `\n<b>By model:</b>\n${lines('model')}\n\n<b>By mode:</b>\n${lines('mode')}`;
+    }
+    if (estimated > 0) {
+        report += `\n\n<i>${estimated} stopped run(s) priced from the price table</i>`;
+    }
+    return report;
+}
+
+function formatBudgetLines(chatId, mode) {
+    const status = getBudgetStatus(chatId, mode);
+    if (status.length === 0) return 'No budgets configured';
+    const override = getBudgetOverride(chatId);
+    return status.map(b =>
+        `• ${escapeHtml(b.label)} ${b.period}: $${b.remaining.toFixed(2)} left of $${b.limit.toFixed(2)} (${Math.round(b.fraction * 100)}%)`
+    ).join('\n') + (override ? `\n<i>Override active until ${formatScheduleTime(new Date(override).toISOString())}</i>` : '');
+}
+
+// ============================================
+// JOB QUEUE
+// ============================================
+
+// Every prompt becomes a job persisted in JOBS_FILE, so pending work survives a
+// restart. Jobs run one per chat at a time, with chats served round-robin.
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 1;
+const JOB_HISTORY_LIMIT = 50;
+
+// chatId -> time its last job started, for round-robin between chats
+const lastServed = new Map();
+
+function loadJobs() {
+    try {
+        if (fs.existsSync(JOBS_FILE)) {
+            return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+        }
+    } catch (e) {}
+    return [];
+}
+
+// Persist all active jobs plus the most recent finished ones
+function saveJobs() {
+    // Jobs with worktrees waiting for /merge or /discard are never trimmed
+    const isKept = j => j.status === 'pending' || j.status === 'running' || j.status === 'awaiting' || j.worktrees;
+    const active = jobs.filter(isKept);
+    const finished = jobs.filter(j => !isKept(j));
+    jobs = [...finished.slice(-JOB_HISTORY_LIMIT), ...active].sort((a, b) => a.id - b.id);
+    try {
+        fs.writeFileSync(JOBS_FILE, JSON.stringify(jobs, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save jobs:', e.message);
+    }
+}
+
+function getJob(id) {
+    return jobs.find(j => j.id === id);
+}
+
+function pendingJobs() {
+    return jobs.filter(j => j.status === 'pending');
+}
+
+// Create a job from a prompt. fields: chatId, username, userId, prompt, mode,
+// and optionally type ('prompt' | 'agents'), numAgents, label, attachments,
+// workingDir, scheduleId, replyTo (the message its answers reply to) and
+// resumeFrom (the answer it continues, see runClaude).
+async function enqueueJob(fields) {
+    const job = {
+        id: jobs.reduce((max, j) => Math.max(max, j.id), 0) + 1,
+        type: 'prompt',
+        ...fields,
+        // Only the file metadata is stored; image data is re-read when the job runs
+        attachments: (fields.attachments || []).map(({ fileName, mimeType, localPath }) => ({ fileName, mimeType, localPath })),
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+    jobs.push(job);
+    saveJobs();
+    log('INFO', `Job #${job.id} queued (${job.type}, ${job.mode}) for chat ${job.chatId}`);
+
+    scheduleJobs();
+    if (job.status === 'pending') {
+        const position = pendingJobs().indexOf(job) + 1;
+        await sendMessage(job.chatId, `Queued (#${position}) · job ${job.id}\n<i>/queue to view, /cancel ${job.id} to remove</i>`,
+            { replyTo: job.replyTo });
+    }
+    updateHealth();
+    return job;
+}
+
+// Next runnable job: the oldest pending job of the least recently served chat
+// that has nothing running
+function pickNextJob() {
+    const busyChats = new Set(jobs.filter(j => j.status === 'running').map(j => String(j.chatId)));
+    const candidates = pendingJobs().filter(j => !busyChats.has(String(j.chatId)));
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) =>
+        (lastServed.get(String(a.chatId)) || 0) - (lastServed.get(String(b.chatId)) || 0) || a.id - b.id);
+    return candidates[0];
+}
 
-        // Race between query and timeout
-        const result = await Promise.race([queryPromise, timeoutPromise]);
+// Start as many jobs as the concurrency limit allows. Synchronous up to the
+// point each job is marked running, so concurrent calls never double-start.
+function scheduleJobs() {
+    while (jobs.filter(j => j.status === 'running').length < MAX_CONCURRENT_JOBS) {
+        const job = pickNextJob();
+        if (!job) return;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        lastServed.set(String(job.chatId), Date.now());
+        saveJobs();
+
+        executeJob(job).catch(e => log('ERROR', `Job #${job.id} error:`, e.message));
+    }
+}
 
-        // Track token usage
-        const inputTokens = estimateTokens(fullPrompt);
-        const outputTokens = estimateTokens(result);
-        const cost = calculateCost(inputTokens, outputTokens);
+function loadJobAttachments(job) {
+    return job.attachments.flatMap(a => {
+        try {
+            return [{ ...a, data: fs.readFileSync(a.localPath) }];
+        } catch (e) {
+            log('WARN', `Attachment for job #${job.id} is gone: ${a.localPath}`);
+            return [];
+        }
+    });
+}
 
-        stats.totalInputTokens += inputTokens;
-        stats.totalOutputTokens += outputTokens;
-        stats.totalCost += cost;
+async function executeJob(job) {
+    const { chatId } = job;
+    const attachments = loadJobAttachments(job);
+    const startTime = Date.now();
 
-        log('INFO', `Claude completed. Tokens: ${inputTokens}/${outputTokens}, Cost: $${cost.toFixed(4)}`);
-        return formatForTelegram(result || '(No output)');
+    try {
+        const denial = jobAccessDenial(job);
+        if (denial) {
+            job.status = 'refused';
+            job.error = denial;
+            log('WARN', `Job #${job.id} refused: ${denial}`);
+            await sendMessage(chatId, `<b>Job ${job.id} not run:</b> ${escapeHtml(denial)}`);
+            return;
+        }
+        const budget = checkBudgetBeforeRun(chatId, job.mode);
+        if (budget.refuse) {
+            job.status = 'refused';
+            job.error = budget.reason;
+            await sendMessage(chatId, `<b>Job ${job.id} not run:</b> ${escapeHtml(budget.reason)}`);
+            return;
+        }
+        if (budget.model) {
+            await sendMessage(chatId, `<i>${escapeHtml(budget.reason)} - running on ${escapeHtml(budget.model)}</i>`);
+        }
+        const runOptions = { jobId: job.id, username: job.username, userId: job.userId ?? chatId, model: budget.model, replyTo: job.replyTo };
+
+        if (job.type === 'agents') {
+            await runAgentsPipeline(job, attachments, runOptions);
+        } else {
+            // Scheduled jobs run in their stored directory, outside the chat's session
+            const { response, runId, checkpoint } = await runClaude(job.prompt, chatId, job.mode, !job.workingDir, {
+                ...runOptions,
+                label: job.label,
+                attachments,
+                workingDir: job.workingDir,
+                resumeFrom: job.resumeFrom
+            });
+            const duration = Math.round((Date.now() - startTime) / 1000);
+
+            saveMessage({
+                id: Date.now(),
+                timestamp: new Date().toISOString(),
+                username: job.username,
+                chatId,
+                jobId: job.id,
+                runId,
+                mode: job.mode,
+                prompt: job.prompt,
+                attachments: job.attachments.map(a => a.fileName),
+                response: response.substring(0, 5000),
+                duration,
+                status: job.stopRequested ? 'stopped' : 'completed'
+            });
+            stats.messagesProcessed++;
+
+            const changed = checkpoint.files.length;
+            await sendMessage(chatId, `<i>Completed in ${duration}s · run ${runId}` +
+                (changed > 0 ? ` · ${changed} file(s) changed (/changes, /diff, /undo)` : '') + '</i>');
+        }
+        // An agents job whose plan awaits approval (or was just approved) is not finished
+        if (job.status === 'running') job.status = job.stopRequested ? 'cancelled' : 'done';
     } catch (error) {
-        log('ERROR', `Claude error: ${error.message}`);
-        return `Error: ${error.message}`;
+        log('ERROR', `Job #${job.id} failed: ${error.message}`);
+        job.status = 'failed';
+        job.error = error.message;
     } finally {
-        clearInterval(typingInterval);
-        isProcessing = false;
-        activeAgents = 0;
-        updateHealth({ status: 'idle' });
+        if (job.status !== 'awaiting' && job.status !== 'pending') job.finishedAt = new Date().toISOString();
+        saveJobs();
+        updateHealth();
+        scheduleJobs();
+    }
+}
+
+// Jobs that were running when the bridge stopped cannot be resumed safely
+// (they may have half-applied edits), so report them instead of re-running.
+async function recoverJobs() {
+    // A plan's buttons do not survive a restart either
+    const interrupted = jobs.filter(j => j.status === 'running' || j.status === 'awaiting');
+    for (const job of interrupted) {
+        job.status = 'interrupted';
+        job.finishedAt = new Date().toISOString();
+        await sendMessage(job.chatId,
+            `Job ${job.id} was interrupted by a bridge restart and was not re-run:\n` +
+            `<i>${escapeHtml(job.prompt.substring(0, 100))}</i>`);
+    }
+    saveJobs();
+
+    const pending = pendingJobs().length;
+    if (interrupted.length > 0 || pending > 0) {
+        log('INFO', `Recovered job queue: ${pending} pending, ${interrupted.length} interrupted`);
     }
+    scheduleJobs();
+}
+
+function formatJobLine(job, chatId) {
+    const owner = String(job.chatId) === String(chatId) ? '' : ` · chat ${job.chatId}`;
+    const agents = job.type === 'agents' ? ` ×${job.numAgents}` : '';
+    return `• <b>${job.id}</b> [${job.mode}${agents}]${owner} ${escapeHtml(job.prompt.substring(0, 50))}${job.prompt.length > 50 ? '...' : ''}`;
 }
 
 // ============================================
-// PARALLEL AGENTS
+// SCHEDULES
 // ============================================
 
-async function runParallelAgents(prompts, chatId, mode = 'default') {
-    const numAgents = prompts.length;
-    log('INFO', `Running ${numAgents} parallel agents`);
-    updateHealth({ status: `processing (${numAgents} agents)` });
-    isProcessing = true;
-    activeAgents = numAgents;
-
-    const typingInterval = setInterval(() => sendTyping(chatId), 3000);
-    sendTyping(chatId);
+// Recurring (cron) and one-shot ("in 2h") prompts. Due schedules are enqueued
+// as jobs, so they share the queue, /queue and /cancel with typed prompts.
+// Cron expressions are evaluated in the bridge's local time zone.
+const SCHEDULE_CHECK_INTERVAL_MS = 30000;
+// A run this late was missed while the bridge was down (or asleep) and is
+// reported instead of executed
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+const MAX_REPORTED_MISSES = 1000;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+let schedules = loadSchedules();
+
+function loadSchedules() {
+    try {
+        if (fs.existsSync(SCHEDULES_FILE)) {
+            return JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+        }
+    } catch (e) {}
+    return [];
+}
 
+function saveSchedules() {
     try {
-        const systemPrompt = SYSTEM_PROMPTS[mode] || SYSTEM_PROMPTS.default;
+        fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+    } catch (e) {
+        log('ERROR', 'Failed to save schedules:', e.message);
+    }
+}
+
+// Parse one cron field ("*", "1-5", "*/15", "mon-fri", "0,30") into the set
+// of values it matches
+function parseCronField(value, field) {
+    const toNumber = token => {
+        const index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        const n = index >= 0 ? index + field.min : Number(token);
+        if (!Number.isInteger(n) || n < field.min || n > field.max) {
+            throw new Error(`Invalid ${field.name}: ${token}`);
+        }
+        return n;
+    };
+
+    const values = new Set();
+    for (const part of value.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+
+        let start, end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(toNumber);
+        } else {
+            start = toNumber(range);
+            end = stepText === undefined ? start : field.max;
+        }
+        if (start > end) throw new Error(`Invalid range in ${field.name}: ${part}`);
+        for (let n = start; n <= end; n += step) values.add(n);
+    }
+    return values;
+}
+
+// Throws with a readable message if the expression is invalid
+function parseCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0); // 7 is also Sunday
+    return {
+        minutes, hours, days, months, weekdays,
+        // Classic cron: when both day fields are restricted, either may match
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+// First minute strictly after `after` that matches the expression, or null
+function nextCronTime(expression, after) {
+    const cron = parseCron(expression);
+    const t = new Date(after);
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (t.getTime() <= limit) {
+        const dayMatches = cron.anyDay
+            ? cron.days.has(t.getDate()) || cron.weekdays.has(t.getDay())
+            : cron.days.has(t.getDate()) && cron.weekdays.has(t.getDay());
+
+        if (!cron.months.has(t.getMonth() + 1) || !dayMatches) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1);
+        } else {
+            return t;
+        }
+    }
+    return null;
+}
+
+// Local time, matching how cron expressions are evaluated
+function formatScheduleTime(iso) {
+    const d = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// "2h", "90m", "1h30m", "1d" -> milliseconds, or null
+function parseDelay(text) {
+    const match = text.match(/^(?:\d+[dhm])+$/i);
+    if (!match) return null;
+    const units = { d: 86400000, h: 3600000, m: 60000 };
+    let ms = 0;
+    for (const [, n, unit] of text.matchAll(/(\d+)([dhm])/gi)) {
+        ms += parseInt(n) * units[unit.toLowerCase()];
+    }
+    return ms > 0 ? ms : null;
+}
+
+// A leading mode command ("/finance summarize...") selects the mode;
+// otherwise the chat's current mode is used
+function splitModePrompt(prompt, chatId) {
+    const match = prompt.match(/^\/(\w+)\s+([\s\S]+)$/);
+    if (match && match[1] !== 'default' && MODES[match[1]]) {
+        return { mode: match[1], prompt: match[2].trim() };
+    }
+    return { mode: getChatState(chatId).mode, prompt };
+}
+
+// Parse the arguments of /schedule into { cron, nextRunAt, mode, prompt }
+function parseScheduleCommand(args, chatId) {
+    // Telegram clients often turn straight quotes into curly ones
+    const cronMatch = args.match(/^["“”']([^"“”']+)["“”']\s+([\s\S]+)$/);
+    if (cronMatch) {
+        const cron = cronMatch[1].trim();
+        const next = nextCronTime(cron, new Date());
+        if (!next) throw new Error('That cron expression never matches.');
+        return { cron, nextRunAt: next.toISOString(), ...splitModePrompt(cronMatch[2].trim(), chatId) };
+    }
+
+    const delayMatch = args.match(/^in\s+(\S+)\s+([\s\S]+)$/i);
+    if (delayMatch) {
+        const delay = parseDelay(delayMatch[1]);
+        if (!delay) throw new Error(`Invalid delay: ${delayMatch[1]} (use e.g. 30m, 2h, 1h30m, 1d)`);
+        return {
+            cron: null,
+            nextRunAt: new Date(Date.now() + delay).toISOString(),
+            ...splitModePrompt(delayMatch[2].trim(), chatId)
+        };
+    }
+
+    return null;
+}
+
+function addSchedule(fields) {
+    const schedule = {
+        id: schedules.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+        ...fields,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        runCount: 0
+    };
+    schedules.push(schedule);
+    saveSchedules();
+    log('INFO', `Schedule #${schedule.id} added for chat ${schedule.chatId}: ${schedule.cron || 'once'} at ${schedule.nextRunAt}`);
+    return schedule;
+}
+
+function removeSchedule(schedule) {
+    schedules = schedules.filter(s => s !== schedule);
+    saveSchedules();
+}
+
+// Count the occurrences between the missed run and now, and the next future one
+function skipMissedRuns(schedule, now) {
+    if (!schedule.cron) return { missed: 1, next: null };
+
+    let missed = 0;
+    let next = new Date(schedule.nextRunAt);
+    while (next && next.getTime() <= now && missed < MAX_REPORTED_MISSES) {
+        missed++;
+        next = nextCronTime(schedule.cron, next);
+    }
+    if (next && next.getTime() <= now) next = nextCronTime(schedule.cron, new Date(now));
+    return { missed, next };
+}
+
+async function runSchedule(schedule) {
+    const busy = jobs.some(j => j.scheduleId === schedule.id && ['pending', 'running', 'awaiting'].includes(j.status));
+    if (busy) {
+        log('WARN', `Schedule #${schedule.id} skipped: previous run still queued or running`);
+        await sendMessage(schedule.chatId,
+            `Skipped scheduled run of #${schedule.id}: the previous run is still queued or running.`);
+        return;
+    }
 
-        const promises = prompts.map(async (prompt, index) => {
-            const fullPrompt = `${systemPrompt}\n\nAgent ${index + 1} task: ${prompt}`;
-            let result = '';
+    schedule.lastRunAt = new Date().toISOString();
+    schedule.runCount++;
+    await enqueueJob({
+        chatId: schedule.chatId,
+        username: schedule.username,
+        userId: schedule.userId,
+        mode: schedule.mode,
+        prompt: schedule.prompt,
+        workingDir: schedule.workingDir,
+        scheduleId: schedule.id,
+        label: `<b>Scheduled #${schedule.id}:</b> ${escapeHtml(schedule.prompt.substring(0, 50))}...`
+    });
+}
 
-            try {
-                for await (const message of query({
-                    prompt: fullPrompt,
-                    options: {
-                        cwd: WORKING_DIR,
-                        allowedTools: ["Read", "Edit", "Bash", "Write", "Glob", "Grep", "WebFetch", "WebSearch"],
-                        permissionMode: "default",
-                    }
-                })) {
-                    if ("result" in message) {
-                        result = message.result;
-                    }
-                }
-                return { index: index + 1, success: true, result };
-            } catch (error) {
-                return { index: index + 1, success: false, error: error.message };
+// Enqueue due schedules and report runs missed while the bridge was down
+async function checkSchedules() {
+    const now = Date.now();
+    const due = schedules.filter(s => new Date(s.nextRunAt).getTime() <= now);
+
+    for (const schedule of due) {
+        const dueAt = new Date(schedule.nextRunAt);
+
+        if (now - dueAt.getTime() > SCHEDULE_GRACE_MS) {
+            const { missed, next } = skipMissedRuns(schedule, now);
+            log('WARN', `Schedule #${schedule.id} missed ${missed} run(s) since ${schedule.nextRunAt}`);
+            await sendMessage(schedule.chatId,
+                `<b>Schedule #${schedule.id}</b> missed ${missed}${missed >= MAX_REPORTED_MISSES ? '+' : ''} ` +
+                `run(s) while the bridge was down (first due ${formatScheduleTime(dueAt.toISOString())}):\n` +
+                `<i>${escapeHtml(schedule.prompt.substring(0, 100))}</i>\n\n` +
+                (next ? `Next run: ${formatScheduleTime(next.toISOString())}` : 'This one-time schedule has been removed.'));
+            if (next) {
+                schedule.nextRunAt = next.toISOString();
+            } else {
+                removeSchedule(schedule);
             }
-        });
-
-        const results = await Promise.allSettled(promises);
-
-        let output = `<b>Parallel Agents Results (${numAgents} agents)</b>\n\n`;
+            continue;
+        }
 
-        for (const result of results) {
-            if (result.status === 'fulfilled') {
-                const r = result.value;
-                if (r.success) {
-                    output += `<b>Agent ${r.index}:</b>\n${formatForTelegram(r.result)}\n\n`;
-                } else {
-                    output += `<b>Agent ${r.index}:</b> Error - ${r.error}\n\n`;
-                }
+        await runSchedule(schedule);
+        if (schedule.cron) {
+            const next = nextCronTime(schedule.cron, new Date(Math.max(now, dueAt.getTime())));
+            if (next) {
+                schedule.nextRunAt = next.toISOString();
             } else {
-                output += `<b>Agent:</b> Failed - ${result.reason}\n\n`;
+                removeSchedule(schedule);
             }
+        } else {
+            removeSchedule(schedule);
         }
+    }
 
-        log('INFO', `${numAgents} agents completed`);
-        return output;
-    } catch (error) {
-        log('ERROR', `Parallel agents error: ${error.message}`);
-        return `Error: ${error.message}`;
-    } finally {
-        clearInterval(typingInterval);
-        isProcessing = false;
-        activeAgents = 0;
-        updateHealth({ status: 'idle' });
+    if (due.length > 0) saveSchedules();
+}
+
+function startScheduler() {
+    if (schedules.length > 0) {
+        log('INFO', `Loaded ${schedules.length} schedule(s)`);
     }
+    // Each pass schedules the next when it finishes, so a slow pass (a long
+    // queue of due schedules, a slow Telegram) never overlaps the next one
+    const check = async () => {
+        await checkSchedules().catch(e => log('ERROR', 'Schedule check error:', e.message));
+        setTimeout(check, SCHEDULE_CHECK_INTERVAL_MS);
+    };
+    check();
 }
 
 // ============================================
@@ -630,50 +4674,113 @@ async function runParallelAgents(prompts, chatId, mode = 'default') {
 // ============================================
 
 async function processMessage(message) {
-    const chatId = message.chat.id;
-    const text = message.text?.trim();
+    const chatId = messageChatId(message);
+    const userId = message.from?.id ?? message.chat.id;
+    const attachment = getAttachment(message);
     const username = message.from?.username || message.from?.first_name || 'Unknown';
 
-    if (!text) return;
+    // For photos and documents the caption is the prompt
+    let text = (message.text || message.caption || '').trim();
+    if (!text && !attachment) return;
 
-    if (!isAuthorized(chatId)) {
-        log('WARN', `Unauthorized: ${username} (${chatId})`);
-        await sendMessage(chatId, `Unauthorized. Your chat ID: ${chatId}`);
+    // In groups, only messages for the bot (see GROUPS & TOPICS)
+    text = addressedText(message, text);
+    if (text === null || (!text && !attachment)) return;
+    const replyTo = isGroupChat(message.chat) ? message.message_id : null;
+
+    const role = getUserRole(userId);
+    if (!role) {
+        log('WARN', `Unauthorized: ${username} (${userId})`);
+        await handleAccessRequest(message, text);
+        return;
+    }
+    const denial = messageAccessDenial(role, text, chatId);
+    if (denial) {
+        log('WARN', `Denied for ${username} (${role.name}): "${text.substring(0, 50)}"`);
+        await sendMessage(chatId, escapeHtml(denial));
         return;
     }
 
+    let attachments = [];
+    if (attachment) {
+        try {
+            attachments = [await downloadAttachment(chatId, attachment)];
+        } catch (error) {
+            log('WARN', `Attachment rejected from ${username}: ${error.message}`);
+            await sendMessage(chatId, `Could not use attachment: ${escapeHtml(error.message)}`);
+            return;
+        }
+    }
+    if (!text && attachments.length > 0) {
+        text = IMAGE_MIME_TYPES.includes(attachments[0].mimeType)
+            ? 'Please look at the attached image.'
+            : 'Please review the attached file.';
+    }
+
     log('INFO', `From ${username}: "${text.substring(0, 50)}..."`);
 
     // ===== COMMANDS =====
 
     if (text === '/start') {
+        const { mode } = getChatState(chatId);
         await sendMessage(chatId,
             `<b>Claude Code Bridge v6</b>\n\n` +
-            `Send any message to Claude. Using Opus 4.5.\n\n` +
+            `Send any message to Claude. Mode: <b>${escapeHtml(mode)}</b> · ` +
+            `model: <b>${escapeHtml(getMode(mode).model || 'Claude Code default')}</b>\n` +
+            `Your role: <b>${escapeHtml(role.name)}</b>\n\n` +
             `<b>Domain Modes:</b>\n` +
-            `• /finance [q] - Quant/market analysis\n` +
-            `• /dev [q] - Full-stack development\n` +
-            `• /legal [q] - Legal tech\n` +
-            `• /health [q] - Healthcare/EMS\n` +
-            `• /judge [q] - Judicial analytics\n\n` +
+            commandModes().map(m => `• /${m.command} [q] - ${escapeHtml(m.description)}\n`).join('') + '\n' +
             `<b>Power Features:</b>\n` +
-            `• /agents [N] [q] - Run N parallel agents\n` +
-            `• /cost - View token usage & costs\n\n` +
+            `• /agents [N] [q] - Plan, run N agents, merge results\n` +
+            `• /agents approve on|off - Approve plans first\n` +
+            `• /merge [N], /discard - Keep one agent's changes or none\n` +
+            `• /changes, /diff, /undo [run] - Review or roll back a run's edits\n` +
+            `• /cost [today|week|month|by mode|by user] - Token usage & costs\n` +
+            `• /budget - Remaining budget (admins: override)\n\n` +
+            `<b>Sessions:</b>\n` +
+            `• /new - Start a fresh conversation\n` +
+            `• /sessions - List past sessions\n` +
+            `• /resume [id] - Switch to a session\n` +
+            `• Reply to an answer - Continue from that answer\n\n` +
             `<b>System:</b>\n` +
             `• /status - Bridge status\n` +
-            `• /cd [path] - Change directory\n` +
-            `• /logs - View logs`
+            `• /stop [N|all] - Cancel run, agent N, or all runs\n` +
+            `• /queue - List queued jobs\n` +
+            `• /cancel [id] - Cancel a queued or running job\n` +
+            `• /schedule "[cron]" [q] or in [2h] [q] - Schedule a prompt\n` +
+            `• /schedules, /unschedule [id] - List or delete schedules\n` +
+            `• /cd [path] - Change this chat's directory\n` +
+            `• /mode [name] - Default mode for plain messages\n` +
+            `• /long [file|chunks] [md|html] [chars] - Long answers\n` +
+            `• /get [path] - Download a file\n` +
+            `• /logs - View logs\n` +
+            `• /users, /grant, /revoke - Manage access (owners)`
         );
         return;
     }
 
     if (text === '/status') {
-        const status = isProcessing ? `Processing (${activeAgents} agents)` : 'Ready';
+        const chatState = getChatState(chatId);
+        const chatRuns = [...activeRuns.values()].filter(r => r.chatId === chatId);
+        const status = chatRuns.length > 0
+            ? `Processing (${chatRuns.reduce((n, r) => n + r.agents.filter(a => a.status === 'running').length, 0)} agents)`
+            : isProcessing ? 'Busy with another chat' : 'Ready';
+        const sessionId = getActiveSessionId(chatId);
+        const pending = pendingJobs();
+        const positions = pending
+            .map((job, i) => String(job.chatId) === String(chatId) ? `#${i + 1}` : null)
+            .filter(Boolean);
         await sendMessage(chatId,
             `<b>Status:</b> ${status}\n` +
-            `<b>Directory:</b> ${WORKING_DIR}\n` +
-            `<b>Queue:</b> ${messageQueue.length} pending\n` +
+            `<b>Directory:</b> ${escapeHtml(chatState.workingDir)}\n` +
+            `<b>Mode:</b> ${chatState.mode}\n` +
+            `<b>Role:</b> ${escapeHtml(role.name)}\n` +
+            `<b>Policy:</b> ${escapeHtml(describePolicies(getPolicies(chatId, chatState.mode, userId)) || 'none')}\n` +
+            `<b>Session:</b> ${sessionId ? `<code>${sessionId.substring(0, 8)}</code>` : 'new'}\n` +
+            `<b>Queue:</b> ${pending.length} pending${positions.length ? ` (yours: ${positions.join(', ')})` : ''}\n` +
             `<b>Processed:</b> ${stats.messagesProcessed}\n` +
+            `<b>Outgoing:</b> ${sendQueueLength()} queued, ${sendStats.delayed} delayed, ` +
+            `${sendStats.rateLimited} rate-limited, ${sendStats.dropped} dropped\n` +
             `<b>Uptime:</b> ${Math.floor((Date.now() - stats.startTime) / 60000)} min\n` +
             `<b>Session Cost:</b> $${stats.totalCost.toFixed(4)}`
         );
@@ -681,267 +4788,753 @@ async function processMessage(message) {
     }
 
     if (text === '/cost') {
-        const inputK = (stats.totalInputTokens / 1000).toFixed(1);
-        const outputK = (stats.totalOutputTokens / 1000).toFixed(1);
+        const k = n => (n / 1000).toFixed(1);
+        const models = Object.entries(stats.byModel).map(([model, m]) =>
+            `<b>${escapeHtml(model)}</b>\n` +
+            `  In ${k(m.inputTokens)}K / Out ${k(m.outputTokens)}K / Cache r ${k(m.cacheReadTokens)}K w ${k(m.cacheWriteTokens)}K\n` +
+            `  $${m.cost.toFixed(4)} (price table: $${m.priceTableCost.toFixed(4)})`
+        );
         await sendMessage(chatId,
-            `<b>Token Usage (Opus 4.5)</b>\n\n` +
-            `<b>Input:</b> ${inputK}K tokens ($${((stats.totalInputTokens / 1000000) * TOKEN_COSTS.inputPer1M).toFixed(4)})\n` +
-            `<b>Output:</b> ${outputK}K tokens ($${((stats.totalOutputTokens / 1000000) * TOKEN_COSTS.outputPer1M).toFixed(4)})\n` +
+            `<b>Token Usage</b>\n\n` +
+            `<b>Input:</b> ${k(stats.totalInputTokens)}K tokens\n` +
+            `<b>Output:</b> ${k(stats.totalOutputTokens)}K tokens\n` +
+            `<b>Cache read/write:</b> ${k(stats.totalCacheReadTokens)}K / ${k(stats.totalCacheWriteTokens)}K tokens\n` +
             `<b>Total Cost:</b> $${stats.totalCost.toFixed(4)}\n\n` +
-            `<i>Pricing: $15/MTok input, $75/MTok output</i>`
+            (models.length > 0 ? `${models.join('\n')}\n\n` : '') +
+            `<b>Budget remaining</b> (mode ${escapeHtml(getChatState(chatId).mode)})\n${formatBudgetLines(chatId, getChatState(chatId).mode)}\n\n` +
+            `<i>Costs as reported by the Claude SDK, including tool calls and caching. ` +
+            `Since restart; see /cost today|week|month or /cost by mode|user|chat|model [period].</i>`
         );
         return;
     }
 
-    if (text === '/stop') {
-        await sendMessage(chatId, isProcessing
-            ? 'Processing cannot be interrupted mid-stream. Wait for completion.'
-            : 'Nothing running.');
+    // /cost today|week|month|all, /cost by mode|user|chat|model|day [period] - from the ledger
+    if (text.startsWith('/cost ')) {
+        const args = text.substring(6).trim().toLowerCase().split(/\s+/);
+        const groupBy = args[0] === 'by' ? args[1] : null;
+        const period = (groupBy ? args[2] : args[0]) || 'month';
+        if ((args[0] === 'by' && !costLedger.GROUPS.includes(groupBy)) || !costLedger.PERIODS.includes(period)) {
+            await sendMessage(chatId,
+                'Usage:\n• /cost today|week|month|all\n• /cost by mode|user|chat|model|day [today|week|month|all]');
+            return;
+        }
+
+        // Owners see every chat's spend, everyone else only their own
+        const allChats = role.admin;
+        const entries = costLedger.readEntries(COSTS_FILE, {
+            from: costLedger.periodStart(period),
+            chatId: allChats ? null : telegramChatId(chatId)
+        });
+        await sendMessage(chatId, formatCostReport(entries, period, groupBy, allChats));
         return;
     }
 
-    if (text === '/logs') {
-        try {
-            const logs = fs.readFileSync(LOG_FILE, 'utf8');
-            const lastLines = logs.split('\n').slice(-20).join('\n');
-            await sendMessage(chatId, `<pre>${escapeHtml(lastLines)}</pre>`);
-        } catch (e) {
-            await sendMessage(chatId, 'No logs available.');
+    // /budget - status, /budget override [all] [hours] - let runs past the caps, /budget clear
+    if (text === '/budget' || text.startsWith('/budget ')) {
+        const args = text.substring(7).trim().split(/\s+/).filter(Boolean);
+        const mode = getChatState(chatId).mode;
+
+        if (args.length === 0) {
+            await sendMessage(chatId,
+                `<b>Budgets</b> (mode ${escapeHtml(mode)})\n\n${formatBudgetLines(chatId, mode)}\n\n` +
+                `<i>When a cap is reached new runs are ${BUDGETS.action === 'downgrade' ? `downgraded to ${escapeHtml(BUDGETS.downgradeModel)}` : 'refused'}</i>`);
+            return;
         }
+        if (!role.admin) {
+            await sendMessage(chatId, 'Only owners can override budgets.');
+            return;
+        }
+        if (args[0] === 'override') {
+            const target = args[1] === 'all' ? 'all' : String(telegramChatId(chatId));
+            const hours = parseFloat(args[target === 'all' ? 2 : 1]) || 24;
+            budgetState.overrides[target] = Date.now() + hours * 60 * 60 * 1000;
+            saveBudgetState();
+            log('WARN', `Budget override for ${target} by ${username} for ${hours}h`);
+            await sendMessage(chatId,
+                `Budget caps overridden for ${target === 'all' ? 'all chats' : 'this chat'} for ${hours}h.\n<i>/budget clear to end it</i>`);
+            return;
+        }
+        if (args[0] === 'clear') {
+            budgetState.overrides = {};
+            saveBudgetState();
+            log('INFO', `Budget overrides cleared by ${username}`);
+            await sendMessage(chatId, 'Budget overrides cleared.');
+            return;
+        }
+        await sendMessage(chatId, 'Usage: /budget, /budget override [all] [hours], /budget clear');
         return;
     }
 
-    if (text.startsWith('/cd ')) {
-        const newDir = text.substring(4).trim();
-        if (!fs.existsSync(newDir)) {
-            await sendMessage(chatId, `Not found: ${newDir}`);
+    if (text === '/users') {
+        await sendMessage(chatId, formatUsers(loadUserRegistry()));
+        return;
+    }
+
+    // /grant [user] [role] - add a user or change their role, /revoke [user] - remove them
+    if (/^\/(grant|revoke)(\s|$)/.test(text)) {
+        const [command, ref, roleName] = text.substring(1).split(/\s+/);
+        const usage = `Usage: /grant [user id|@username] [${Object.keys(ROLES).join('|')}], /revoke [user id|@username]`;
+        if (!ref || (command === 'grant') !== Boolean(roleName)) {
+            await sendMessage(chatId, usage);
             return;
         }
-        if (!isPathAllowed(newDir)) {
-            await sendMessage(chatId, `Access denied. Allowed directories:\n${ALLOWED_DIRECTORIES.map(d => `• ${d}`).join('\n')}`);
-            log('WARN', `Blocked /cd to: ${newDir}`);
+        const registry = loadUserRegistry();
+        const target = resolveUserRef(registry, ref);
+        if (!target) {
+            await sendMessage(chatId, `Unknown user ${escapeHtml(ref)}. Use their numeric user ID; they get it by messaging the bot.`);
+            return;
+        }
+        if (command === 'revoke') {
+            const error = removeUser(target);
+            await sendMessage(chatId, error || `Revoked ${describeUser(target, registry.users[target])}. Their queued jobs and schedules will not run.`);
             return;
         }
-        WORKING_DIR = newDir;
-        process.env.WORKING_DIR = newDir;
-        await sendMessage(chatId, `Changed to: <code>${newDir}</code>`);
+        if (!ROLES[roleName]) {
+            await sendMessage(chatId, `Unknown role: ${escapeHtml(roleName)}\n${usage}`);
+            return;
+        }
+        const error = setUserRole(target, roleName, username);
+        if (error) {
+            await sendMessage(chatId, error);
+            return;
+        }
+        const user = loadUserRegistry().users[target];
+        await sendMessage(chatId, `${describeUser(target, user)} now has the <b>${escapeHtml(roleName)}</b> role.`);
+        if (String(target) !== String(userId)) {
+            await sendMessage(target, `You now have <b>${escapeHtml(roleName)}</b> access. Send /start to see what you can do.`);
+        }
         return;
     }
 
-    // ===== FINANCE MODE =====
-    if (text.startsWith('/finance ')) {
-        const prompt = text.substring(9).trim();
-        if (!prompt) {
-            await sendMessage(chatId, 'Usage: /finance [query]');
+    // /stop - cancel this chat's run, /stop N - cancel agent N, /stop all - cancel every run
+    if (text === '/stop' || text.startsWith('/stop ')) {
+        const arg = text.substring(5).trim().toLowerCase();
+        if (arg === 'all' && !role.admin) {
+            await sendMessage(chatId, "Only owners can stop every chat's runs.");
+            return;
+        }
+        // In a group everyone stops only their own runs (owners stop any)
+        const runs = [...activeRuns.values()].filter(r => arg === 'all' || (r.chatId === chatId && canAnswerFor(r.userId, userId)));
+        const plans = [...pendingPlans.entries()].filter(([, p]) => arg === 'all' || (p.chatId === chatId && canAnswerFor(p.userId, userId)));
+        if (plans.length > 0 && !/^\d+$/.test(arg)) {
+            plans.forEach(([jobId]) => cancelPendingPlan(jobId));
+            if (runs.length === 0) return;
+        }
+        if (runs.length === 0) {
+            const othersRunning = [...activeRuns.values()].some(r => r.chatId === chatId);
+            await sendMessage(chatId, othersRunning ? 'Only whoever started a run can stop it.' : 'Nothing running.');
             return;
         }
 
-        if (isProcessing) {
-            messageQueue.push({ chatId, text, username, mode: 'finance' });
-            await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+        if (/^\d+$/.test(arg)) {
+            const agentIndex = parseInt(arg);
+            const agentsRun = runs.find(r => r.type === 'agents');
+            const agent = agentsRun?.agents.find(a => a.index === agentIndex);
+            if (!agent) {
+                await sendMessage(chatId, `No agent ${agentIndex} in the current run.`);
+                return;
+            }
+            await sendMessage(chatId, stopAgent(agent)
+                ? `Stopping agent ${agentIndex}...`
+                : `Agent ${agentIndex} already finished.`);
             return;
         }
 
-        await sendMessage(chatId, `<b>Financial Analysis:</b> ${prompt.substring(0, 50)}...`);
-        const response = await runClaude(prompt, chatId, 'finance');
-        await sendMessage(chatId, response);
-        stats.messagesProcessed++;
+        runs.forEach(run => {
+            const job = run.jobId && getJob(run.jobId);
+            if (job) job.stopRequested = true;
+        });
+        const stopped = runs.reduce((sum, run) => sum + stopRun(run), 0);
+        log('INFO', `/stop from ${username}: ${stopped} agent(s) in ${runs.length} run(s)`);
+        await sendMessage(chatId, `Stopping ${stopped} agent(s)... partial results follow.`);
         return;
     }
 
-    // ===== DEV MODE =====
-    if (text.startsWith('/dev ')) {
-        const prompt = text.substring(5).trim();
-        if (!prompt) {
-            await sendMessage(chatId, 'Usage: /dev [query]');
+    if (text === '/queue') {
+        const running = jobs.filter(j => j.status === 'running');
+        const awaiting = jobs.filter(j => j.status === 'awaiting');
+        const pending = pendingJobs();
+        if (running.length === 0 && awaiting.length === 0 && pending.length === 0) {
+            await sendMessage(chatId, 'Queue is empty.');
             return;
         }
+        await sendMessage(chatId,
+            `<b>Job Queue</b>\n\n` +
+            (running.length ? `<b>Running:</b>\n${running.map(j => formatJobLine(j, chatId)).join('\n')}\n\n` : '') +
+            (awaiting.length ? `<b>Waiting for plan approval:</b>\n${awaiting.map(j => formatJobLine(j, chatId)).join('\n')}\n\n` : '') +
+            (pending.length ? `<b>Pending:</b>\n${pending.map(j => formatJobLine(j, chatId)).join('\n')}\n\n` : '') +
+            `<i>/cancel [id] to remove one of your jobs</i>`);
+        return;
+    }
 
-        if (isProcessing) {
-            messageQueue.push({ chatId, text, username, mode: 'dev' });
-            await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+    if (text === '/cancel' || text.startsWith('/cancel ')) {
+        const id = parseInt(text.substring(7).trim());
+        const job = getJob(id);
+        if (!id || !job || String(job.chatId) !== String(chatId)) {
+            await sendMessage(chatId, 'Usage: /cancel [job id]\nSee /queue for your jobs.');
+            return;
+        }
+        if (!canAnswerFor(job.userId, userId)) {
+            await sendMessage(chatId, `Only whoever started job ${id} can cancel it.`);
             return;
         }
+        if (job.status === 'pending') {
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            saveJobs();
+            updateHealth();
+            await sendMessage(chatId, `Cancelled job ${id}.`);
+        } else if (job.status === 'awaiting') {
+            cancelPendingPlan(id);
+            await sendMessage(chatId, `Cancelled job ${id}.`);
+        } else if (job.status === 'running') {
+            job.stopRequested = true;
+            const run = [...activeRuns.values()].find(r => r.jobId === id);
+            if (run) stopRun(run);
+            await sendMessage(chatId, `Stopping job ${id}... partial results follow.`);
+        } else {
+            await sendMessage(chatId, `Job ${id} is already ${job.status}.`);
+        }
+        return;
+    }
 
-        await sendMessage(chatId, `<b>Dev Mode:</b> ${prompt.substring(0, 50)}...`);
-        const response = await runClaude(prompt, chatId, 'dev');
-        await sendMessage(chatId, response);
-        stats.messagesProcessed++;
+    // /changes, /diff, /undo [run id] - what a run did to the files, and rolling it back
+    const checkpointCommand = text.match(/^\/(changes|diff|undo)(?:\s+(\d+))?(?:\s+(force))?$/);
+    if (checkpointCommand || /^\/(changes|diff|undo)\s/.test(text)) {
+        const [, command, runId, force] = checkpointCommand || [];
+        const checkpoint = checkpointCommand && findCheckpoint(chatId, runId ? parseInt(runId) : null);
+        if (!checkpointCommand) {
+            await sendMessage(chatId, 'Usage: /changes [run], /diff [run], /undo [run] [force]');
+            return;
+        }
+        if (!checkpoint) {
+            await sendMessage(chatId, runId ? `No checkpoint for run ${runId} in this chat.` : 'No run in this chat has changed files yet.');
+            return;
+        }
+        try {
+            if (command === 'changes') {
+                await sendMessage(chatId, formatCheckpointChanges(checkpoint));
+            } else if (command === 'undo') {
+                await sendMessage(chatId, canAnswerFor(checkpoint.userId, userId)
+                    ? await undoCheckpoint(checkpoint, Boolean(force))
+                    : `Only whoever started run ${checkpoint.runId} can undo it.`);
+            } else {
+                const diff = checkpoint.files.length > 0 ? await checkpointDiff(checkpoint) : '';
+                if (!diff) {
+                    await sendMessage(chatId, `Run ${checkpoint.runId} changed no files.`);
+                } else if (diff.length <= MAX_INLINE_DIFF_CHARS) {
+                    await sendMessage(chatId, `<b>Run ${checkpoint.runId}</b>\n<pre><code class="language-diff">${escapeHtml(diff)}</code></pre>`);
+                } else {
+                    await sendDocumentContent(chatId, diff, `run-${checkpoint.runId}.diff`,
+                        `<b>Run ${checkpoint.runId}</b> · ${checkpoint.files.length} file(s)`);
+                }
+            }
+        } catch (error) {
+            log('ERROR', `/${command} for run #${checkpoint.runId} failed:`, error.message);
+            await sendMessage(chatId, `<b>/${command} failed:</b> ${escapeHtml(error.message)}`);
+        }
         return;
     }
 
-    // ===== LEGAL MODE =====
-    if (text.startsWith('/legal ')) {
-        const prompt = text.substring(7).trim();
-        if (!prompt) {
-            await sendMessage(chatId, 'Usage: /legal [query]\nExpert in legal tech and SEC compliance.');
+    // /merge N [job] - apply one agent's worktree changes, /discard [job] - drop them all
+    if (/^\/(merge|discard)(\s|$)/.test(text)) {
+        const [action, ...args] = text.substring(1).split(/\s+/);
+        const numbers = args.map(arg => /^\d+$/.test(arg) ? parseInt(arg) : NaN);
+        const agentIndex = action === 'merge' ? numbers.shift() : null;
+        if (numbers.some(isNaN) || numbers.length > 1 || (action === 'merge' && !agentIndex)) {
+            await sendMessage(chatId, 'Usage: /merge [agent] [job], /discard [job]');
             return;
         }
+        const job = findWorktreeJob(chatId, numbers[0] || null);
+        if (!job) {
+            await sendMessage(chatId, 'No agent changes waiting to be merged.');
+        } else if (!canAnswerFor(job.userId, userId)) {
+            await sendMessage(chatId, `Only whoever started job ${job.id} can ${action} its changes.`);
+        } else if (action === 'merge') {
+            await sendMessage(chatId, await mergeWorktree(job, agentIndex));
+        } else {
+            await discardWorktrees(job);
+            await sendMessage(chatId, `Discarded the agents' changes from job ${job.id}.`);
+        }
+        return;
+    }
+
+    if (text === '/schedule' || text.startsWith('/schedule ')) {
+        const usage =
+            'Usage:\n' +
+            '• /schedule "[cron]" [prompt] - Recurring, e.g.\n' +
+            '  /schedule "0 8 * * 1-5" /finance summarize overnight futures moves\n' +
+            '• /schedule in [delay] [prompt] - Once, e.g.\n' +
+            '  /schedule in 2h check whether the build in ./app passes\n\n' +
+            '<i>Runs in the current directory and mode unless the prompt starts with a mode command. Cron times are server local time.</i>';
 
-        if (isProcessing) {
-            messageQueue.push({ chatId, text, username, mode: 'legal' });
-            await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+        let parsed;
+        try {
+            parsed = parseScheduleCommand(text.substring(9).trim(), chatId);
+        } catch (error) {
+            await sendMessage(chatId, `${escapeHtml(error.message)}\n\n${usage}`);
+            return;
+        }
+        if (!parsed) {
+            await sendMessage(chatId, usage);
+            return;
+        }
+        if (!roleAllows(role, 'modes', parsed.mode)) {
+            await sendMessage(chatId, `The ${parsed.mode} mode is not available to the ${escapeHtml(role.name)} role.`);
             return;
         }
 
-        await sendMessage(chatId, `<b>Legal Tech:</b> ${prompt.substring(0, 50)}...`);
-        const response = await runClaude(prompt, chatId, 'legal');
-        await sendMessage(chatId, response);
-        stats.messagesProcessed++;
+        const schedule = addSchedule({
+            chatId,
+            username,
+            userId,
+            ...parsed,
+            workingDir: getChatState(chatId).workingDir
+        });
+        await sendMessage(chatId,
+            `<b>Schedule #${schedule.id} created</b>\n\n` +
+            `<b>When:</b> ${schedule.cron ? `<code>${escapeHtml(schedule.cron)}</code>` : 'once'}\n` +
+            `<b>Next run:</b> ${formatScheduleTime(schedule.nextRunAt)}\n` +
+            `<b>Mode:</b> ${schedule.mode}\n` +
+            `<b>Directory:</b> <code>${escapeHtml(schedule.workingDir)}</code>\n\n` +
+            `<i>/unschedule ${schedule.id} to delete</i>`);
         return;
     }
 
-    // ===== HEALTH/EMS MODE =====
-    if (text.startsWith('/health ')) {
-        const prompt = text.substring(8).trim();
-        if (!prompt) {
-            await sendMessage(chatId, 'Usage: /health [query]\nEMS protocols and healthcare support.');
+    if (text === '/schedules') {
+        const own = schedules.filter(s => String(s.chatId) === String(chatId));
+        if (own.length === 0) {
+            await sendMessage(chatId, 'No schedules. See /schedule to create one.');
             return;
         }
+        const lines = own.map(s =>
+            `<b>#${s.id}</b> ${s.cron ? `<code>${escapeHtml(s.cron)}</code>` : 'once'} [${s.mode}]\n` +
+            `   ${escapeHtml(s.prompt.substring(0, 60))}${s.prompt.length > 60 ? '...' : ''}\n` +
+            `   <i>next ${formatScheduleTime(s.nextRunAt)} · ${s.runCount} run(s) · ${escapeHtml(displayPath(s.workingDir, WORKING_DIR))}</i>`);
+        await sendMessage(chatId, `<b>Schedules</b>\n\n${lines.join('\n\n')}\n\n<i>/unschedule [id] to delete</i>`);
+        return;
+    }
 
-        if (isProcessing) {
-            messageQueue.push({ chatId, text, username, mode: 'health' });
-            await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+    if (text === '/unschedule' || text.startsWith('/unschedule ')) {
+        const id = parseInt(text.substring(11).trim());
+        const schedule = schedules.find(s => s.id === id && String(s.chatId) === String(chatId));
+        if (!schedule) {
+            await sendMessage(chatId, 'Usage: /unschedule [id]\nSee /schedules for your schedules.');
             return;
         }
+        removeSchedule(schedule);
+        log('INFO', `Schedule #${id} deleted`);
+        await sendMessage(chatId, `Deleted schedule #${id}.`);
+        return;
+    }
 
-        await sendMessage(chatId, `<b>Healthcare/EMS:</b> ${prompt.substring(0, 50)}...`);
-        const response = await runClaude(prompt, chatId, 'health');
-        await sendMessage(chatId, response);
-        stats.messagesProcessed++;
+    if (text === '/new') {
+        setActiveSession(chatId, null);
+        await sendMessage(chatId, 'Started a new session. Your next message begins a fresh conversation.');
         return;
     }
 
-    // ===== JUDGE MODE =====
-    if (text.startsWith('/judge ')) {
-        const prompt = text.substring(7).trim();
-        if (!prompt) {
-            await sendMessage(chatId, 'Usage: /judge [query]\nJudicial analytics, search judges, court data.');
+    if (text === '/sessions') {
+        const chat = loadSessions()[chatId];
+        if (!chat || chat.sessions.length === 0) {
+            await sendMessage(chatId, 'No sessions yet. Send a message to start one.');
+            return;
+        }
+        const recent = [...chat.sessions]
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+            .slice(0, 15);
+        const lines = recent.map(s =>
+            `${s.id === chat.active ? '▶' : '•'} <code>${s.id.substring(0, 8)}</code> ${escapeHtml(s.title || '(untitled)')}\n` +
+            `   <i>${formatSessionDate(s.createdAt)} → ${formatSessionDate(s.updatedAt)}, ${s.turns} turn(s), ${s.mode}</i>`
+        );
+        await sendMessage(chatId,
+            `<b>Sessions</b> (${chat.sessions.length})\n\n${lines.join('\n')}\n\n` +
+            `<i>/resume [id] to switch, /new to start fresh</i>`);
+        return;
+    }
+
+    if (text.startsWith('/resume')) {
+        const idPrefix = text.substring(7).trim();
+        if (!idPrefix) {
+            await sendMessage(chatId, 'Usage: /resume [session id]\nSee /sessions for ids.');
+            return;
+        }
+        const session = findChatSession(chatId, idPrefix);
+        if (!session) {
+            await sendMessage(chatId, `No unique session matches <code>${escapeHtml(idPrefix)}</code>. See /sessions.`);
+            return;
+        }
+        // A session can only be resumed from the directory it was created in
+        const moved = session.workingDir && session.workingDir !== getChatState(chatId).workingDir;
+        if (moved && !canUseDirectory(role, session.workingDir)) {
+            await sendMessage(chatId, `That session is in <code>${escapeHtml(session.workingDir)}</code>, which your role may not use.`);
+            return;
+        }
+        setActiveSession(chatId, session.id);
+        if (moved) {
+            updateChatState(chatId, { workingDir: session.workingDir });
+        }
+        await sendMessage(chatId,
+            `Resumed session <code>${session.id.substring(0, 8)}</code>: ${escapeHtml(session.title || '(untitled)')}` +
+            (moved ? `\nDirectory: <code>${escapeHtml(session.workingDir)}</code>` : ''));
+        return;
+    }
+
+    if (text === '/get' || text.startsWith('/get ')) {
+        const target = text.substring(4).trim();
+        if (!target) {
+            await sendMessage(chatId, 'Usage: /get [path]\nRelative paths are resolved against the working directory.');
+            return;
+        }
+        const filePath = path.resolve(getChatState(chatId).workingDir, target);
+        if (!canUseDirectory(role, filePath)) {
+            await sendMessage(chatId, 'Access denied: that file is outside the directories your role may use.');
+            return;
+        }
+        await sendFileToChat(chatId, filePath);
+        return;
+    }
+
+    if (text === '/logs') {
+        try {
+            const logs = fs.readFileSync(LOG_FILE, 'utf8');
+            const lastLines = logs.split('\n').slice(-20).join('\n');
+            await sendMessage(chatId, `<pre>${escapeHtml(lastLines)}</pre>`);
+        } catch (e) {
+            await sendMessage(chatId, 'No logs available.');
+        }
+        return;
+    }
+
+    // Only changes this chat's directory; relative paths resolve from the current one
+    if (text.startsWith('/cd ')) {
+        const newDir = path.resolve(getChatState(chatId).workingDir, text.substring(4).trim());
+        if (!fs.existsSync(newDir)) {
+            await sendMessage(chatId, `Not found: ${newDir}`);
+            return;
+        }
+        if (!canUseDirectory(role, newDir)) {
+            const allowed = roleDirectories(role).filter(d => isPathAllowed(d));
+            await sendMessage(chatId, `Access denied. Allowed directories:\n${allowed.map(d => `• ${d}`).join('\n')}`);
+            log('WARN', `Blocked /cd to: ${newDir}`);
+            return;
+        }
+        updateChatState(chatId, { workingDir: newDir });
+        // Sessions belong to a directory, so the next message starts a fresh one
+        setActiveSession(chatId, null);
+        await sendMessage(chatId, `Changed to: <code>${newDir}</code>\n<i>Started a new session.</i>`);
+        return;
+    }
+
+    // Default mode for plain messages in this chat
+    if (text === '/mode' || text.startsWith('/mode ')) {
+        const mode = text.substring(5).trim().toLowerCase();
+        const available = Object.keys(MODES).filter(name => roleAllows(role, 'modes', name));
+        if (!mode) {
+            await sendMessage(chatId,
+                `<b>Mode:</b> ${getChatState(chatId).mode}\n` +
+                `Available: ${available.join(', ') || 'none'}\n\n<i>/mode [name] to change</i>`);
+            return;
+        }
+        if (!available.includes(mode)) {
+            await sendMessage(chatId, `${MODES[mode] ? 'Not available to your role' : 'Unknown mode'}: ${escapeHtml(mode)}\n` +
+                `Available: ${available.join(', ') || 'none'}`);
             return;
         }
+        updateChatState(chatId, { mode });
+        await sendMessage(chatId, `Plain messages in this chat now use <b>${mode}</b> mode.`);
+        return;
+    }
+
+    // How answers over the threshold are delivered in this chat
+    if (text === '/long' || text.startsWith('/long ')) {
+        const args = text.substring(5).trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const updates = {};
+        for (const arg of args) {
+            if (arg === 'file' || arg === 'chunks') {
+                updates.longAnswers = arg;
+            } else if (arg === 'md' || arg === 'html') {
+                updates.longAnswerFormat = arg;
+            } else if (/^\d+$/.test(arg) && parseInt(arg) >= 1000) {
+                updates.longAnswerChars = parseInt(arg);
+            } else {
+                await sendMessage(chatId,
+                    `Unknown option: ${escapeHtml(arg)}\n` +
+                    `Usage: /long [file|chunks] [md|html] [chars]\n<i>The threshold is at least 1000 characters.</i>`);
+                return;
+            }
+        }
+        if (args.length > 0) updateChatState(chatId, updates);
+
+        const settings = getLongAnswerSettings(chatId);
+        await sendMessage(chatId,
+            `<b>Long answers:</b> ${settings.delivery === 'file'
+                ? `summary + .${settings.format} file above ${settings.threshold.toLocaleString()} characters`
+                : 'split into messages'}\n\n` +
+            `<i>/long file|chunks, /long md|html, /long [chars] to change</i>`);
+        return;
+    }
 
-        if (isProcessing) {
-            messageQueue.push({ chatId, text, username, mode: 'judge' });
-            await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+    // ===== DOMAIN MODES =====
+    const modeMatch = text.match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    const commandMode = modeMatch && modeMatch[1] !== 'default' && MODES[modeMatch[1]];
+    if (commandMode) {
+        const prompt = (modeMatch[2] || '').trim();
+        if (!prompt) {
+            await sendMessage(chatId, `Usage: /${commandMode.command} [query]\n${escapeHtml(commandMode.description)}`);
             return;
         }
 
-        await sendMessage(chatId, `<b>Judicial Analytics:</b> ${prompt.substring(0, 50)}...`);
-        const response = await runClaude(prompt, chatId, 'judge');
-        await sendMessage(chatId, response);
-        stats.messagesProcessed++;
+        await enqueueJob({
+            chatId, username, userId, mode: commandMode.command, prompt, attachments, replyTo,
+            label: `<b>${escapeHtml(commandMode.label)}:</b> ${escapeHtml(prompt.substring(0, 50))}...`
+        });
         return;
     }
 
     // ===== PARALLEL AGENTS =====
+    const planApproval = text.match(/^\/agents\s+approve(?:\s+(on|off))?$/i);
+    if (planApproval) {
+        if (planApproval[1]) updateChatState(chatId, { approvePlans: planApproval[1].toLowerCase() === 'on' });
+        await sendMessage(chatId, getChatState(chatId).approvePlans
+            ? 'Agent plans in this chat wait for your approval before the agents start.'
+            : 'Agent plans in this chat are shown and run right away.');
+        return;
+    }
+
     if (text.startsWith('/agents ')) {
         const match = text.match(/^\/agents\s+(\d+)\s+(.+)$/s);
         if (!match) {
             await sendMessage(chatId,
                 'Usage: /agents [N] [query]\n\n' +
+                'A planner splits the task into N subtasks, N agents work on them in parallel, ' +
+                'and their results are merged into one answer.\n\n' +
                 'Examples:\n' +
                 '• /agents 3 Research the top 3 JS frameworks\n' +
-                '• /agents 5 Analyze 5 different stocks');
+                '• /agents 5 Analyze 5 different stocks\n\n' +
+                '<i>/agents approve on|off - wait for your approval of the plan</i>');
             return;
         }
 
-        const numAgents = Math.min(parseInt(match[1]), MAX_PARALLEL_AGENTS);
+        const numAgents = Math.min(parseInt(match[1]), role.maxAgents);
         const basePrompt = match[2].trim();
 
+        if (role.maxAgents < 1) {
+            await sendMessage(chatId, `The ${escapeHtml(role.name)} role cannot run agents.`);
+            return;
+        }
         if (numAgents < 1) {
             await sendMessage(chatId, 'Need at least 1 agent');
             return;
         }
-
-        if (isProcessing) {
-            await sendMessage(chatId, 'Already processing. Please wait.');
+        if (!roleAllows(role, 'modes', 'default')) {
+            await sendMessage(chatId, `Agents run in the default mode, which is not available to the ${escapeHtml(role.name)} role.`);
             return;
         }
 
-        // Create varied prompts for each agent
-        const prompts = Array(numAgents).fill(null).map((_, i) =>
-            `${basePrompt} (Focus area ${i + 1} of ${numAgents})`
-        );
-
-        await sendMessage(chatId, `<b>Launching ${numAgents} parallel agents...</b>\n${basePrompt.substring(0, 100)}`);
-        const response = await runParallelAgents(prompts, chatId);
-        await sendMessage(chatId, response);
-        stats.messagesProcessed += numAgents;
+        await enqueueJob({ chatId, username, userId, type: 'agents', mode: 'default', prompt: basePrompt, numAgents, attachments, replyTo });
         return;
     }
 
     // ===== DEFAULT MODE =====
-    if (isProcessing) {
-        messageQueue.push({ chatId, text, username, mode: 'default' });
-        await sendMessage(chatId, `Queued (#${messageQueue.length})`);
+    // A reply to an answer continues that conversation, in the answer's mode
+    const answer = message.reply_to_message && findAnswerMessage(chatId, message.reply_to_message.message_id);
+    if (answer) {
+        if (!roleAllows(role, 'modes', answer.mode) || !canUseDirectory(role, answer.workingDir)) {
+            await sendMessage(chatId, 'Your role cannot continue that answer (its mode or directory is not available to you).');
+            return;
+        }
+        await enqueueJob({ chatId, username, userId, mode: answer.mode, prompt: text, attachments, replyTo, resumeFrom: answer });
         return;
     }
+    await enqueueJob({ chatId, username, userId, mode: getChatState(chatId).mode, prompt: text, attachments, replyTo });
+}
 
-    await sendMessage(chatId, `Processing: ${text.substring(0, 40)}${text.length > 40 ? '...' : ''}`);
+// ============================================
+// MAIN LOOP
+// ============================================
 
-    const startTime = Date.now();
-    const response = await runClaude(text, chatId, 'default');
-    const duration = Math.round((Date.now() - startTime) / 1000);
+// Route one Telegram update. Shared by long-polling and webhook delivery.
+function handleUpdate(update) {
+    // Webhook deliveries can be retried by Telegram; skip anything already seen
+    if (recentUpdateIds.has(update.update_id)) return;
+    recentUpdateIds.add(update.update_id);
+    if (recentUpdateIds.size > MAX_RECENT_UPDATES) {
+        recentUpdateIds.delete(recentUpdateIds.values().next().value);
+    }
+    lastUpdateId = Math.max(lastUpdateId, update.update_id);
+    saveState();
+
+    // Don't await: runs can take minutes, and /stop must still be received meanwhile
+    if (update.message) {
+        processMessage(update.message).catch(e => log('ERROR', 'Process error:', e.message));
+    } else if (update.callback_query) {
+        handleCallbackQuery(update.callback_query).catch(e => log('ERROR', 'Callback error:', e.message));
+    }
+}
 
-    saveMessage({
-        id: Date.now(),
-        timestamp: new Date().toISOString(),
-        username,
-        chatId,
-        prompt: text,
-        response: response.substring(0, 5000),
-        duration,
-        status: 'completed'
+async function pollLoop() {
+    // getUpdates is rejected while a webhook is registered
+    await deleteWebhook();
+
+    while (true) {
+        try {
+            const updates = await getUpdates();
+            for (const update of updates) {
+                handleUpdate(update);
+            }
+        } catch (error) {
+            log('ERROR', 'Poll error:', error.message);
+            await new Promise(r => setTimeout(r, 5000));
+        }
+    }
+}
+
+// ============================================
+// WEBHOOK MODE
+// ============================================
+
+let webhookServer = null;
+
+async function setWebhook() {
+    const response = await axios.post(`${API_BASE}/setWebhook`, {
+        url: WEBHOOK_URL,
+        secret_token: WEBHOOK_SECRET,
+        allowed_updates: ALLOWED_UPDATES
     });
+    if (!response.data.ok) {
+        throw new Error(response.data.description || 'setWebhook failed');
+    }
+}
 
-    stats.messagesProcessed++;
-    updateHealth();
+// Publish the built-in commands and every mode as the Telegram command menu
+async function setBotCommands() {
+    const commands = [
+        ...commandModes().map(m => ({ command: m.command, description: m.description })),
+        ...BOT_COMMANDS.map(([command, description]) => ({ command, description }))
+    ].slice(0, 100);
+    try {
+        await axios.post(`${API_BASE}/setMyCommands`, { commands });
+        log('INFO', `Published ${commands.length} bot commands`);
+    } catch (error) {
+        log('WARN', 'Failed to set bot commands:', error.response?.data?.description || error.message);
+    }
+}
+
+async function deleteWebhook() {
+    try {
+        await axios.post(`${API_BASE}/deleteWebhook`, { drop_pending_updates: false });
+    } catch (error) {
+        log('WARN', 'Failed to delete webhook:', error.message);
+    }
+}
 
-    await sendMessage(chatId, response);
-    await sendMessage(chatId, `<i>Completed in ${duration}s</i>`);
+function isValidWebhookSecret(header) {
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    const given = Buffer.from(String(header || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
 
-    // Process queue
-    if (messageQueue.length > 0) {
-        const next = messageQueue.shift();
-        setImmediate(() => processMessage({
-            chat: { id: next.chatId },
-            text: next.text,
-            from: { username: next.username }
-        }));
+// Receive updates on WEBHOOK_HOST:WEBHOOK_PORT at the path of WEBHOOK_URL
+function startWebhookServer() {
+    const webhookPath = new URL(WEBHOOK_URL).pathname;
+
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            if (req.method !== 'POST' || req.url !== webhookPath) {
+                res.writeHead(404).end();
+                return;
+            }
+            if (!isValidWebhookSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+                log('WARN', `Rejected webhook request with bad secret from ${req.socket.remoteAddress}`);
+                res.writeHead(401).end();
+                return;
+            }
+
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > 1024 * 1024) req.destroy();
+            });
+            req.on('end', () => {
+                // Acknowledge first so Telegram doesn't retry while a command is handled
+                res.writeHead(200).end();
+                try {
+                    handleUpdate(JSON.parse(body));
+                } catch (e) {
+                    log('ERROR', 'Invalid webhook payload:', e.message);
+                }
+            });
+        });
+
+        server.once('error', reject);
+        server.listen(WEBHOOK_PORT, WEBHOOK_HOST, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+async function startWebhookMode() {
+    webhookServer = await startWebhookServer();
+    try {
+        await setWebhook();
+    } catch (error) {
+        webhookServer.close();
+        webhookServer = null;
+        throw error;
     }
+    deliveryMode = 'webhook';
+    log('INFO', `Webhook listening on ${WEBHOOK_HOST}:${WEBHOOK_PORT}, registered ${WEBHOOK_URL}`);
 }
 
 // ============================================
-// MAIN LOOP
+// MAIN
 // ============================================
 
-async function pollLoop() {
+async function shutdown(signal) {
+    log('INFO', `Received ${signal}, shutting down...`);
+    if (webhookServer) {
+        webhookServer.close();
+        await deleteWebhook();
+    }
+    updateHealth({ status: 'stopped' });
+    process.exit(0);
+}
+
+async function start() {
     log('INFO', '='.repeat(50));
     log('INFO', 'Telegram-Claude Bridge v6 Started');
-    log('INFO', `Modes: finance, dev, legal, health, judge`);
+    log('INFO', `Modes: ${commandModes().map(m => m.command).join(', ')} (from ${MODES_DIR})`);
     log('INFO', `Features: HTML formatting, parallel agents, token tracking`);
-    log('INFO', `Working dir: ${WORKING_DIR}`);
+    log('INFO', `Default working dir: ${WORKING_DIR}`);
     log('INFO', `Max parallel agents: ${MAX_PARALLEL_AGENTS}`);
-    log('INFO', `Allowed users: ${ALLOWED_CHAT_IDS.join(', ')}`);
+    const registry = loadUserRegistry();
+    log('INFO', `Users: ${Object.keys(registry.users).length} (owners: ${adminUserIds(registry).join(', ') || 'none'})`);
+    log('INFO', `Delivery: ${WEBHOOK_URL ? 'webhook' : 'long-polling'}`);
     log('INFO', '='.repeat(50));
 
     updateHealth({ status: 'idle' });
+    await loadBotUser();
+    await setBotCommands();
+    await recoverJobs();
+    startScheduler();
 
-    while (true) {
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    if (WEBHOOK_URL) {
         try {
-            const updates = await getUpdates();
-            for (const update of updates) {
-                lastUpdateId = update.update_id;
-                saveState(lastUpdateId);
-                if (update.message) {
-                    await processMessage(update.message);
-                }
-            }
+            await startWebhookMode();
+            return;
         } catch (error) {
-            log('ERROR', 'Poll error:', error.message);
-            await new Promise(r => setTimeout(r, 5000));
+            log('ERROR', `Webhook setup failed, falling back to long-polling: ${error.message}`);
         }
     }
+
+    deliveryMode = 'polling';
+    await pollLoop();
 }
 
 // Validate and start
@@ -950,4 +5543,4 @@ if (!BOT_TOKEN) {
     process.exit(1);
 }
 
-pollLoop().catch(console.error);
+start().catch(console.error);
@@ -0,0 +1,125 @@
+/**
+ * Cost ledger shared by the bridge and the admin panel
+ *
+ * The bridge appends one JSON line per agent run to .costs.jsonl (every /agents
+ * sub-agent is its own line). This module reads the ledger back and aggregates
+ * it by day, mode, chat, user or model for a period. Periods and days use the
+ * local time of the machine running the bridge.
+ */
+
+const fs = require('fs');
+
+const PERIODS = ['today', 'week', 'month', 'all'];
+const GROUPS = ['day', 'mode', 'chat', 'user', 'model'];
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+function localDay(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Start of a named period: today, week (from Monday), month, or all (null)
+function periodStart(period, now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    switch (period) {
+        case 'today':
+            return start;
+        case 'week':
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            return start;
+        case 'month':
+            start.setDate(1);
+            return start;
+        default:
+            return null;
+    }
+}
+
+function appendEntry(file, entry) {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+// Ledger entries, optionally within [from, to) and for one chat. Unreadable
+// lines (e.g. a half-written last line after a crash) are skipped.
+function readEntries(file, { from = null, to = null, chatId = null } = {}) {
+    if (!fs.existsSync(file)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            continue;
+        }
+        const time = new Date(entry.timestamp);
+        if (from && time < from) continue;
+        if (to && time >= to) continue;
+        if (chatId !== null && String(entry.chatId) !== String(chatId)) continue;
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Per-model figures of an entry. Early entries stored only a cost per model.
+function entryModels(entry) {
+    return Object.entries(entry.models || {}).map(([model, value]) =>
+        [model, typeof value === 'number' ? { cost: value } : value]);
+}
+
+function emptyTotals(key) {
+    return { key, runs: 0, cost: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+function addTo(totals, figures, countRun) {
+    if (countRun) totals.runs++;
+    totals.cost += figures.cost || 0;
+    for (const field of TOKEN_FIELDS) totals[field] += figures[field] || 0;
+}
+
+// { total, groups } where groups are sorted by cost (by day: chronologically)
+function aggregate(entries, groupBy = 'day') {
+    if (!GROUPS.includes(groupBy)) throw new Error(`Unknown grouping: ${groupBy}`);
+
+    const total = emptyTotals('total');
+    const groups = new Map();
+    const group = key => groups.get(key) || groups.set(key, emptyTotals(key)).get(key);
+
+    for (const entry of entries) {
+        addTo(total, entry, true);
+
+        if (groupBy === 'model') {
+            // A run can use several models (e.g. Haiku for sub-tasks); it counts once for each
+            entryModels(entry).forEach(([model, figures]) => addTo(group(model), figures, true));
+            continue;
+        }
+        const key = {
+            day: () => localDay(new Date(entry.timestamp)),
+            mode: () => entry.mode || 'default',
+            chat: () => String(entry.chatId),
+            user: () => entry.username || `chat ${entry.chatId}`
+        }[groupBy]();
+        addTo(group(key), entry, true);
+    }
+
+    const sorted = [...groups.values()].sort(groupBy === 'day'
+        ? (a, b) => a.key.localeCompare(b.key)
+        : (a, b) => b.cost - a.cost);
+    return { total, groups: sorted };
+}
+
+function toCsv(rows, columns) {
+    const cell = value => `"${String(value ?? '').replace(/"/g, '""').replace(/\n/g, ' ')}"`;
+    return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n');
+}
+
+module.exports = {
+    PERIODS,
+    GROUPS,
+    localDay,
+    periodStart,
+    appendEntry,
+    readEntries,
+    aggregate,
+    toCsv
+};